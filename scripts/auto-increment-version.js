@@ -3,28 +3,10 @@
 const fs = require('fs');
 const yaml = require('js-yaml');
 const { execSync } = require('child_process');
-
-/**
- * Parse a Flutter version string (e.g., "1.0.1+2")
- * @param {string} versionStr - The version string
- * @returns {object} - Parsed version object
- */
-function parseFlutterVersion(versionStr) {
-  if (!versionStr) return null;
-  
-  const parts = versionStr.split('+');
-  const baseParts = parts[0].split('.');
-  const buildNumber = parts[1] ? parseInt(parts[1], 10) : 0;
-  
-  return {
-    major: parseInt(baseParts[0], 10) || 0,
-    minor: parseInt(baseParts[1], 10) || 0,
-    patch: parseInt(baseParts[2], 10) || 0,
-    build: buildNumber,
-    base: parts[0],
-    full: versionStr
-  };
-}
+const { replacePubspecVersion } = require('../src/pubspec');
+const { parseFlutterVersion, isValidVersion } = require('../src/version');
+const { DEFAULT_TAG_FORMAT, validateTagFormat, packageTagFormat, formatTag } = require('../src/tag-format');
+const { addBumpTrailer } = require('../src/loop-guard');
 
 /**
  * Generate next version by incrementing patch and build number
@@ -66,13 +48,27 @@ function getCurrentVersion(pubspecPath) {
   try {
     const content = fs.readFileSync(pubspecPath, 'utf8');
     const doc = yaml.load(content);
-    return doc.version || null;
+    return doc.version ? String(doc.version) : null;
   } catch (error) {
     console.error(`Error reading pubspec.yaml: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * Get the package name from pubspec.yaml
+ * @param {string} pubspecPath - Path to pubspec.yaml
+ * @returns {string|null} - Package name or null
+ */
+function getPackageName(pubspecPath) {
+  try {
+    const doc = yaml.load(fs.readFileSync(pubspecPath, 'utf8'));
+    return doc.name ? String(doc.name) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Update the version in pubspec.yaml
  * @param {string} pubspecPath - Path to pubspec.yaml
@@ -82,16 +78,7 @@ function getCurrentVersion(pubspecPath) {
 function updatePubspecVersion(pubspecPath, newVersion) {
   try {
     const content = fs.readFileSync(pubspecPath, 'utf8');
-    const doc = yaml.load(content);
-    doc.version = newVersion;
-    
-    const newContent = yaml.dump(doc, { 
-      lineWidth: -1,
-      noRefs: true,
-      quotingType: '"',
-      forceQuotes: false
-    });
-    
+    const newContent = replacePubspecVersion(content, newVersion);
     fs.writeFileSync(pubspecPath, newContent, 'utf8');
     return true;
   } catch (error) {
@@ -112,7 +99,12 @@ function getPreviousVersion(pubspecPath) {
     if (!gitShow) return null;
     
     const doc = yaml.load(gitShow);
-    return doc.version || null;
+    const version = doc.version ? String(doc.version) : null;
+    if (version && !isValidVersion(version)) {
+      console.log(`⚠️  Ignoring invalid previous version "${version}"`);
+      return null;
+    }
+    return version;
   } catch (error) {
     console.log('⚠️  Could not retrieve previous version from git history');
     return null;
@@ -155,10 +147,19 @@ function configureGit() {
  */
 function main() {
   const pubspecPath = 'pubspec.yaml';
+  // Same placeholders as the action's tag-format input
+  const tagFormat = process.env.TAG_FORMAT || DEFAULT_TAG_FORMAT;
   
   console.log('🚀 Flutter Version Auto-Increment Script');
   console.log('=========================================');
   
+  try {
+    validateTagFormat(tagFormat, false);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
   // Check if running in GitHub Actions
   const isGitHubActions = process.env.GITHUB_ACTIONS === 'true';
   
@@ -175,8 +176,24 @@ function main() {
     process.exit(1);
   }
   
+  try {
+    parseFlutterVersion(currentVersion);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
   console.log(`📦 Current version: ${currentVersion}`);
   
+  // Checked before pubspec.yaml is touched, so a missing name leaves nothing behind
+  let packageFormat;
+  try {
+    packageFormat = packageTagFormat(tagFormat, getPackageName(pubspecPath));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
   // Get previous version from git history
   const previousVersion = getPreviousVersion(pubspecPath);
   if (previousVersion) {
@@ -212,12 +229,12 @@ function main() {
     return;
   }
   
-  // Commit changes
-  const commitMessage = `Auto-increment version to ${newVersion}
+  // Commit changes, marked so the action does not bump the commit again
+  const commitMessage = addBumpTrailer(`Auto-increment version to ${newVersion}
 
 Previous version: ${currentVersion}
 New version: ${newVersion}
-Auto-generated by version increment script`;
+Auto-generated by version increment script`);
 
   try {
     console.log('📝 Staging changes...');
@@ -227,7 +244,7 @@ Auto-generated by version increment script`;
     execSync(`git commit -m "${commitMessage}"`);
     
     // Create tag
-    const tagName = `v${newVersion}`;
+    const tagName = formatTag(packageFormat, newVersion);
     console.log(`🏷️  Creating tag ${tagName}...`);
     execSync(`git tag -a ${tagName} -m "Release ${tagName}"`);
     
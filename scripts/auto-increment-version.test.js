@@ -10,7 +10,10 @@ describe('Auto-Increment Version Tests', () => {
         patch: 1,
         build: 2,
         base: '1.0.1',
-        full: '1.0.1+2'
+        full: '1.0.1+2',
+        prerelease: [],
+        buildMetadata: '2',
+        buildNumeric: true
       });
     });
 
@@ -22,7 +25,10 @@ describe('Auto-Increment Version Tests', () => {
         patch: 0,
         build: 0,
         base: '2.1.0',
-        full: '2.1.0'
+        full: '2.1.0',
+        prerelease: [],
+        buildMetadata: null,
+        buildNumeric: true
       });
     });
 
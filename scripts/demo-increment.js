@@ -3,23 +3,7 @@
 // Demo script to show what the auto-increment would do
 const fs = require('fs');
 const yaml = require('js-yaml');
-
-function parseFlutterVersion(versionStr) {
-  if (!versionStr) return null;
-  
-  const parts = versionStr.split('+');
-  const baseParts = parts[0].split('.');
-  const buildNumber = parts[1] ? parseInt(parts[1], 10) : 0;
-  
-  return {
-    major: parseInt(baseParts[0], 10) || 0,
-    minor: parseInt(baseParts[1], 10) || 0,
-    patch: parseInt(baseParts[2], 10) || 0,
-    build: buildNumber,
-    base: parts[0],
-    full: versionStr
-  };
-}
+const { parseFlutterVersion } = require('../src/version');
 
 function incrementVersion(currentVersion) {
   const parsed = parseFlutterVersion(currentVersion);
@@ -35,7 +19,7 @@ function getCurrentVersion(pubspecPath) {
   try {
     const content = fs.readFileSync(pubspecPath, 'utf8');
     const doc = yaml.load(content);
-    return doc.version || null;
+    return doc.version ? String(doc.version) : null;
   } catch (error) {
     console.error(`Error reading pubspec.yaml: ${error.message}`);
     return null;
@@ -3,63 +3,34 @@
 const fs = require('fs');
 const yaml = require('js-yaml');
 const { execSync } = require('child_process');
-const semver = require('semver');
+const { replacePubspecVersion } = require('../src/pubspec');
+const { GIT_LOG_FORMAT, parseGitLog, inferBumpType } = require('../src/conventional-commits');
+const { renderChangelogSection, updateChangelog } = require('../src/changelog');
+const { DEFAULT_DART_CONSTANTS_PATH, writeDartConstants } = require('../src/dart-constants');
+const { parseFlutterVersion, compareVersions, formatVersion } = require('../src/version');
+const { BUILD_NUMBER_STRATEGIES, MAX_ANDROID_VERSION_CODE, computeBuildNumber } = require('../src/build-number');
+const { validateTagPolicy, parseRemoteTags, describeTagCollision } = require('../src/tag-policy');
+const { DEFAULT_TAG_FORMAT, validateTagFormat, packageTagFormat, formatTag, tagGlob, parseTag } = require('../src/tag-format');
+const { addBumpTrailer } = require('../src/loop-guard');
 
-/**
- * Parse a Flutter version string (e.g., "1.0.3+5")
- * @param {string} versionStr - The version string
- * @returns {object} - Parsed version object
- */
-function parseFlutterVersion(versionStr) {
-  if (!versionStr) return null;
-  
-  const parts = versionStr.split('+');
-  const baseParts = parts[0].split('.');
-  const buildNumber = parts[1] ? parseInt(parts[1], 10) : 0;
-  
-  return {
-    major: parseInt(baseParts[0], 10) || 0,
-    minor: parseInt(baseParts[1], 10) || 0,
-    patch: parseInt(baseParts[2], 10) || 0,
-    build: buildNumber,
-    base: parts[0],
-    full: versionStr
-  };
-}
+const PRERELEASE_BUMP_TYPES = ['premajor', 'preminor', 'prepatch', 'prerelease'];
+const BUMP_TYPES = ['major', 'minor', 'patch', 'build', ...PRERELEASE_BUMP_TYPES, 'promote'];
 
 /**
- * Compare two Flutter versions
- * @param {string} current - Current version
- * @param {string} previous - Previous version
- * @returns {number} - 1 if current > previous, 0 if equal, -1 if current < previous
- */
-function compareVersions(current, previous) {
-  const currentParsed = parseFlutterVersion(current);
-  const previousParsed = parseFlutterVersion(previous);
-  
-  if (!currentParsed || !previousParsed) return 0;
-  
-  // Compare base version using semver
-  const baseComparison = semver.compare(currentParsed.base, previousParsed.base);
-  
-  if (baseComparison !== 0) {
-    return baseComparison;
-  }
-  
-  // Same base version, compare build numbers
-  if (currentParsed.build > previousParsed.build) return 1;
-  if (currentParsed.build < previousParsed.build) return -1;
-  return 0;
-}
-
-/**
- * Get the latest git tag
+ * Get the highest version tag reachable from HEAD
+ * @param {string} tagFormat - Tag format of the package, see packageTagFormat
  * @returns {string|null} - Latest tag or null if no tags exist
  */
-function getLatestTag() {
+function getLatestTag(tagFormat = DEFAULT_TAG_FORMAT) {
   try {
-    const output = execSync('git describe --tags --abbrev=0', { encoding: 'utf8' });
-    return output.trim();
+    const output = execSync(`git tag --list "${tagGlob(tagFormat)}" --merged HEAD`, { encoding: 'utf8' });
+    // Tags that only look alike, e.g. v2-docs, do not follow the format and must not hide the real ones
+    const tags = output.split('\n')
+      .map(tag => ({ tag: tag.trim(), version: parseTag(tagFormat, tag.trim()) }))
+      .filter(({ version }) => version);
+    
+    if (tags.length === 0) return null;
+    return tags.sort((a, b) => compareVersions(b.version, a.version))[0].tag;
   } catch (error) {
     console.warn('No tags found or git error:', error.message);
     return null;
@@ -68,19 +39,17 @@ function getLatestTag() {
 
 /**
  * Get all tags sorted by version
+ * @param {string} tagFormat - Tag format of the package
  * @returns {string[]} - Array of tags sorted by version (latest first)
  */
-function getAllTagsSorted() {
+function getAllTagsSorted(tagFormat = DEFAULT_TAG_FORMAT) {
   try {
-    const output = execSync('git tag --list', { encoding: 'utf8' });
-    const tags = output.trim().split('\n').filter(tag => tag.trim());
+    const output = execSync(`git tag --list "${tagGlob(tagFormat)}"`, { encoding: 'utf8' });
+    // Tags that do not follow the format cannot be ordered, leave them out
+    const tags = output.trim().split('\n').map(tag => tag.trim()).filter(tag => parseTag(tagFormat, tag));
     
     // Sort tags by version (descending)
-    return tags.sort((a, b) => {
-      const versionA = a.replace(/^v/, '');
-      const versionB = b.replace(/^v/, '');
-      return compareVersions(versionB, versionA);
-    });
+    return tags.sort((a, b) => compareVersions(parseTag(tagFormat, b), parseTag(tagFormat, a)));
   } catch (error) {
     console.warn('Error getting tags:', error.message);
     return [];
@@ -96,13 +65,27 @@ function getCurrentVersion(pubspecPath = 'pubspec.yaml') {
   try {
     const content = fs.readFileSync(pubspecPath, 'utf8');
     const doc = yaml.load(content);
-    return doc.version || null;
+    return doc.version ? String(doc.version) : null;
   } catch (error) {
     console.error(`Error reading pubspec.yaml: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * Get the package name from pubspec.yaml
+ * @param {string} pubspecPath - Path to pubspec.yaml
+ * @returns {string|null} - Package name or null
+ */
+function getPackageName(pubspecPath = 'pubspec.yaml') {
+  try {
+    const doc = yaml.load(fs.readFileSync(pubspecPath, 'utf8'));
+    return doc.name ? String(doc.name) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Update the version in pubspec.yaml
  * @param {string} pubspecPath - Path to pubspec.yaml
@@ -112,16 +95,7 @@ function getCurrentVersion(pubspecPath = 'pubspec.yaml') {
 function updatePubspecVersion(pubspecPath, newVersion) {
   try {
     const content = fs.readFileSync(pubspecPath, 'utf8');
-    const doc = yaml.load(content);
-    doc.version = newVersion;
-    
-    const newContent = yaml.dump(doc, { 
-      lineWidth: -1,
-      noRefs: true,
-      quotingType: '"',
-      forceQuotes: false
-    });
-    
+    const newContent = replacePubspecVersion(content, newVersion);
     fs.writeFileSync(pubspecPath, newContent, 'utf8');
     return true;
   } catch (error) {
@@ -130,48 +104,109 @@ function updatePubspecVersion(pubspecPath, newVersion) {
   }
 }
 
+/**
+ * Get the next pre-release identifiers on a channel
+ * @param {object} parsed - Parsed current version
+ * @param {string} channel - Channel identifier (e.g. alpha, beta, rc)
+ * @returns {string[]} - Identifiers such as ['beta', '4']
+ */
+function nextPrerelease(parsed, channel) {
+  if (parsed.prerelease[0] !== channel) {
+    return [channel, '1'];
+  }
+  
+  const identifiers = parsed.prerelease.slice();
+  const last = identifiers.length - 1;
+  if (last > 0 && /^\d+$/.test(identifiers[last])) {
+    identifiers[last] = String(parseInt(identifiers[last], 10) + 1);
+  } else {
+    identifiers.push('1');
+  }
+  return identifiers;
+}
+
 /**
  * Generate next version based on bump type
  * @param {string} currentVersion - The current version
- * @param {string} bumpType - Type of bump (major, minor, patch, build)
+ * @param {string} bumpType - Type of bump (major, minor, patch, build, premajor, preminor, prepatch, prerelease, promote)
+ * @param {string} [channel] - Pre-release channel for the pre* bump types
+ * @param {object} [buildNumber] - Build number strategy options, see computeBuildNumber
  * @returns {string} - The next version
+ * @throws {Error} - When promoting a release or switching to a lower channel
  */
-function generateNextVersion(currentVersion, bumpType = 'patch') {
+function generateNextVersion(currentVersion, bumpType = 'patch', channel = 'beta', buildNumber = {}) {
   const parsed = parseFlutterVersion(currentVersion);
   if (!parsed) return '1.0.0+1';
   
   let newMajor = parsed.major;
   let newMinor = parsed.minor;
   let newPatch = parsed.patch;
-  let newBuild = parsed.build + 1;
+  let newPrerelease = [];
   
   switch (bumpType.toLowerCase()) {
     case 'major':
       newMajor += 1;
       newMinor = 0;
       newPatch = 0;
-      newBuild = 1;
       break;
     case 'minor':
       newMinor += 1;
       newPatch = 0;
-      newBuild = 1;
       break;
     case 'patch':
       newPatch += 1;
-      newBuild = 1;
       break;
     case 'build':
       // Only increment build number
+      newPrerelease = parsed.prerelease;
+      break;
+    case 'premajor':
+      newMajor += 1;
+      newMinor = 0;
+      newPatch = 0;
+      newPrerelease = [channel, '1'];
+      break;
+    case 'preminor':
+      newMinor += 1;
+      newPatch = 0;
+      newPrerelease = [channel, '1'];
+      break;
+    case 'prepatch':
+      newPatch += 1;
+      newPrerelease = [channel, '1'];
+      break;
+    case 'prerelease':
+      if (parsed.prerelease.length === 0) {
+        // Start the pre-releases of the next patch
+        newPatch += 1;
+        newPrerelease = [channel, '1'];
+      } else {
+        newPrerelease = nextPrerelease(parsed, channel);
+        const nextBase = `${parsed.major}.${parsed.minor}.${parsed.patch}-${newPrerelease.join('.')}`;
+        if (compareVersions(nextBase, parsed.base) <= 0) {
+          throw new Error(`Cannot move ${currentVersion} to channel "${channel}": ${nextBase} ranks below ${parsed.base}`);
+        }
+      }
+      break;
+    case 'promote':
+      if (parsed.prerelease.length === 0) {
+        throw new Error(`Cannot promote ${currentVersion}: it is not a pre-release`);
+      }
       break;
     default:
       // Default to patch increment
       newPatch += 1;
-      newBuild = 1;
       break;
   }
   
-  return `${newMajor}.${newMinor}.${newPatch}+${newBuild}`;
+  return formatVersion({
+    major: newMajor,
+    minor: newMinor,
+    patch: newPatch,
+    prerelease: newPrerelease,
+    // The build resets to 1 when major, minor or patch change unless another strategy is chosen
+    build: computeBuildNumber(parsed, { major: newMajor, minor: newMinor, patch: newPatch }, { strategy: 'increment', ...buildNumber })
+  });
 }
 
 /**
@@ -186,10 +221,8 @@ function determineBumpType(currentVersion, latestTagVersion) {
   
   if (!current || !latest) return 'patch';
   
-  // If versions are identical, increment build number
-  if (current.major === latest.major && 
-      current.minor === latest.minor && 
-      current.patch === latest.patch) {
+  // If versions are identical, including the pre-release, increment build number
+  if (current.base === latest.base) {
     return 'build';
   }
   
@@ -203,21 +236,70 @@ function determineBumpType(currentVersion, latestTagVersion) {
   return 'patch';
 }
 
+/**
+ * Get the commits between a tag and HEAD
+ * @param {string|null} tag - Tag to start from, or null for the whole history
+ * @returns {object[]} - Commits as { sha, message }
+ */
+function getCommitsSince(tag) {
+  try {
+    const range = tag ? `${tag}..HEAD` : 'HEAD';
+    const output = execSync(`git log ${range} ${GIT_LOG_FORMAT}`, { encoding: 'utf8' });
+    return parseGitLog(output);
+  } catch (error) {
+    console.warn('Error reading commit history:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Find out whether a tag already exists locally or on origin
+ * @param {string} tagName - Tag to look for
+ * @returns {string|null} - Where the tag exists, or null when it is free
+ */
+function findExistingTag(tagName) {
+  const local = new Set(execSync(`git tag --list ${tagName}`, { encoding: 'utf8' }).split('\n').map(tag => tag.trim()).filter(Boolean));
+  let remote = new Set();
+  try {
+    remote = parseRemoteTags(execSync(`git ls-remote --tags origin refs/tags/${tagName}`, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }));
+  } catch (error) {
+    console.warn(`Could not list the tags on origin: ${error.message}`);
+  }
+  return describeTagCollision(tagName, { local, remote });
+}
+
 /**
  * Create and push a new tag
- * @param {string} version - Version to tag
+ * @param {string} tagName - Tag to create, see formatTag
  * @param {string} message - Tag message
+ * @param {string} onTagExists - skip or move an existing tag, anything else fails
+ * @param {boolean} withBranch - Push the current branch in the same atomic push, so the tag never points at an unpushed commit
+ * @returns {boolean} - Whether the tag is in place
  */
-function createAndPushTag(version, message = null) {
+function createAndPushTag(tagName, message = null, onTagExists = 'fail', withBranch = false) {
   try {
-    const tagName = `v${version}`;
     const tagMessage = message || `Release ${tagName}`;
     
-    console.log(`Creating tag: ${tagName}`);
-    execSync(`git tag -a ${tagName} -m "${tagMessage}"`, { stdio: 'inherit' });
+    const where = findExistingTag(tagName);
+    if (where && onTagExists === 'skip') {
+      console.warn(`⚠️  Tag ${tagName} already exists ${where}, leaving it where it is`);
+      if (withBranch) {
+        execSync('git push origin HEAD', { stdio: 'inherit' });
+      }
+      return true;
+    }
+    if (where && onTagExists !== 'move') {
+      console.error(`Tag ${tagName} already exists ${where}`);
+      return false;
+    }
+    
+    console.log(`${where ? 'Moving' : 'Creating'} tag: ${tagName}`);
+    execSync(`git tag -a${where ? ' -f' : ''} ${tagName} -m "${tagMessage}"`, { stdio: 'inherit' });
     
-    console.log(`Pushing tag: ${tagName}`);
-    execSync(`git push origin ${tagName}`, { stdio: 'inherit' });
+    // A moved tag is forced, the branch never is
+    const tagRef = `${where ? '+' : ''}refs/tags/${tagName}`;
+    console.log(`Pushing ${withBranch ? 'the branch and ' : ''}tag: ${tagName}`);
+    execSync(`git push --atomic origin ${withBranch ? 'HEAD ' : ''}${tagRef}`, { stdio: 'inherit' });
     
     return true;
   } catch (error) {
@@ -233,9 +315,20 @@ function main() {
   const args = process.argv.slice(2);
   const options = {
     bumpType: 'auto',
+    channel: 'beta',
+    buildNumber: { strategy: 'increment' },
     dryRun: false,
     createTag: false,
-    force: false
+    force: false,
+    changelog: false,
+    changelogPath: 'CHANGELOG.md',
+    changelogTemplate: null,
+    dartConstants: false,
+    dartConstantsPath: DEFAULT_DART_CONSTANTS_PATH,
+    dartConstantsTemplate: null,
+    onTagExists: 'fail',
+    allowTagMove: false,
+    tagFormat: DEFAULT_TAG_FORMAT
   };
   
   // Parse command line arguments
@@ -246,6 +339,24 @@ function main() {
         options.bumpType = args[i + 1];
         i++;
         break;
+      case '--channel':
+      case '-p':
+        options.channel = args[i + 1];
+        i++;
+        break;
+      case '--build-number-strategy':
+      case '-b':
+        options.buildNumber.strategy = args[i + 1];
+        i++;
+        break;
+      case '--build-number-format':
+        options.buildNumber.timestampFormat = args[i + 1];
+        i++;
+        break;
+      case '--build-number-digits':
+        options.buildNumber.digits = args[i + 1];
+        i++;
+        break;
       case '--dry-run':
       case '-d':
         options.dryRun = true;
@@ -258,22 +369,94 @@ function main() {
       case '-f':
         options.force = true;
         break;
+      case '--changelog':
+      case '-l':
+        options.changelog = true;
+        break;
+      case '--changelog-path':
+        options.changelog = true;
+        options.changelogPath = args[i + 1];
+        i++;
+        break;
+      case '--changelog-template':
+        options.changelog = true;
+        options.changelogTemplate = fs.readFileSync(args[i + 1], 'utf8');
+        i++;
+        break;
+      case '--dart-constants':
+      case '-g':
+        options.dartConstants = true;
+        break;
+      case '--dart-constants-path':
+        options.dartConstants = true;
+        options.dartConstantsPath = args[i + 1];
+        i++;
+        break;
+      case '--dart-constants-template':
+        options.dartConstants = true;
+        options.dartConstantsTemplate = fs.readFileSync(args[i + 1], 'utf8');
+        i++;
+        break;
+      case '--on-tag-exists':
+        options.onTagExists = args[i + 1];
+        i++;
+        break;
+      case '--allow-tag-move':
+        options.allowTagMove = true;
+        break;
+      case '--tag-format':
+        options.tagFormat = args[i + 1];
+        i++;
+        break;
       case '--help':
       case '-h':
         console.log(`
 Usage: node tag-based-version-bump.js [options]
 
 Options:
-  -t, --bump-type <type>    Type of version bump (major, minor, patch, build, auto)
+  -t, --bump-type <type>    Type of version bump (major, minor, patch, build, premajor,
+                            preminor, prepatch, prerelease, promote, auto)
+                            auto follows Conventional Commits since the latest tag
+  -p, --channel <id>        Pre-release channel for pre* bumps (default: beta), e.g. alpha, rc
+  -b, --build-number-strategy <s>
+                            increment (default, resets on version bumps), never-reset,
+                            git-commit-count, ci-run-number, timestamp or derived
+      --build-number-format <f>
+                            Date pattern for timestamp (default: yyMMddHHmm)
+      --build-number-digits <d>
+                            Widths of minor, patch and counter for derived (default: 2,2,2)
   -d, --dry-run            Show what would be done without making changes
-  -c, --create-tag         Create and push a git tag after bumping version
+  -c, --create-tag         Commit the bump, tag it and push both
   -f, --force              Force version bump even if current version is ahead
+  -l, --changelog          Prepend the commits since the latest tag to CHANGELOG.md
+      --changelog-path <p>  Changelog file to update (default: CHANGELOG.md)
+      --changelog-template <file>
+                            Section template with {version}, {previousVersion}, {date},
+                            {features}, {fixes}, {other} and {commits} placeholders
+  -g, --dart-constants     Write appVersion, buildNumber, gitSha and releaseDate
+                            constants to lib/src/version.g.dart
+      --dart-constants-path <p>
+                            Generated Dart file to write (default: lib/src/version.g.dart)
+      --dart-constants-template <file>
+                            File template with {version}, {buildName}, {buildNumber},
+                            {gitSha} and {releaseDate} placeholders
+      --on-tag-exists <p>   When the tag of the new version exists: fail (default), skip,
+                            bump-again or move
+      --allow-tag-move      Allow --on-tag-exists move to rewrite a published tag
+      --tag-format <f>      Tag name template with {package}, {version}, {base} and
+                            {build} placeholders (default: v{version})
   -h, --help               Show this help message
 
 Examples:
   node tag-based-version-bump.js --dry-run
   node tag-based-version-bump.js --bump-type patch --create-tag
   node tag-based-version-bump.js --force --bump-type major
+  node tag-based-version-bump.js --bump-type auto --changelog
+  node tag-based-version-bump.js --bump-type minor --dart-constants
+  node tag-based-version-bump.js --bump-type premajor --channel beta
+  node tag-based-version-bump.js --bump-type promote --create-tag
+  node tag-based-version-bump.js --bump-type patch --create-tag --on-tag-exists bump-again
+  node tag-based-version-bump.js --bump-type minor --create-tag --tag-format "{package}@{base}"
         `);
         return;
     }
@@ -281,6 +464,33 @@ Examples:
   
   console.log('🚀 Flutter Tag-Based Version Bump Tool\n');
   
+  if (options.bumpType !== 'auto' && !BUMP_TYPES.includes(options.bumpType)) {
+    console.error(`❌ Invalid bump type "${options.bumpType}". Expected one of: auto, ${BUMP_TYPES.join(', ')}`);
+    process.exit(1);
+  }
+  
+  if (!/^[0-9A-Za-z-]*[A-Za-z-][0-9A-Za-z-]*$/.test(options.channel || '')) {
+    console.error(`❌ Invalid channel "${options.channel}". Use letters, digits and hyphens, e.g. alpha, beta or rc`);
+    process.exit(1);
+  }
+  
+  if (!BUILD_NUMBER_STRATEGIES.includes(options.buildNumber.strategy)) {
+    console.error(`❌ Invalid build number strategy "${options.buildNumber.strategy}". Expected one of: ${BUILD_NUMBER_STRATEGIES.join(', ')}`);
+    process.exit(1);
+  }
+  
+  try {
+    validateTagPolicy(options.onTagExists, options.allowTagMove);
+    validateTagFormat(options.tagFormat, false);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  if (options.buildNumber.strategy === 'git-commit-count') {
+    options.buildNumber.commitCount = parseInt(execSync('git rev-list --count HEAD', { encoding: 'utf8' }), 10);
+  }
+  
   // Get current version from pubspec.yaml
   const currentVersion = getCurrentVersion();
   if (!currentVersion) {
@@ -288,10 +498,24 @@ Examples:
     process.exit(1);
   }
   
+  try {
+    parseFlutterVersion(currentVersion);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
   console.log(`📦 Current version in pubspec.yaml: ${currentVersion}`);
+  let tagFormat;
+  try {
+    tagFormat = packageTagFormat(options.tagFormat, getPackageName());
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
   
   // Get latest tag
-  const latestTag = getLatestTag();
+  const latestTag = getLatestTag(tagFormat);
   if (!latestTag) {
     console.log('📋 No tags found in repository');
     if (!options.force) {
@@ -299,7 +523,7 @@ Examples:
       return;
     }
   } else {
-    const latestTagVersion = latestTag.replace(/^v/, '');
+    const latestTagVersion = parseTag(tagFormat, latestTag);
     console.log(`🏷️  Latest tag: ${latestTag} (version: ${latestTagVersion})`);
     
     // Compare versions
@@ -311,7 +535,7 @@ Examples:
       if (!options.force && options.bumpType === 'auto') {
         console.log('💡 No version bump needed. Use --force to bump anyway or --create-tag to tag current version');
         if (options.createTag) {
-          createAndPushTag(currentVersion, `Release v${currentVersion}`);
+          createAndPushTag(formatTag(tagFormat, currentVersion), null, options.onTagExists);
         }
         return;
       }
@@ -325,8 +549,14 @@ Examples:
   // Determine bump type
   let bumpType = options.bumpType;
   if (bumpType === 'auto') {
-    if (latestTag) {
-      const latestTagVersion = latestTag.replace(/^v/, '');
+    // Conventional Commits decide first; fall back to comparing against the latest tag
+    const inference = inferBumpType(getCommitsSince(latestTag));
+    console.log(`📜 Commits since ${latestTag || 'the first commit'}: ${inference.explanation}`);
+    if (inference.bumpType) {
+      bumpType = inference.bumpType;
+      console.log(`🤖 Auto-determined bump type from commits: ${bumpType}`);
+    } else if (latestTag) {
+      const latestTagVersion = parseTag(tagFormat, latestTag);
       bumpType = determineBumpType(currentVersion, latestTagVersion);
       console.log(`🤖 Auto-determined bump type: ${bumpType}`);
     } else {
@@ -338,7 +568,7 @@ Examples:
   // Generate new version
   let baseVersion = currentVersion;
   if (latestTag && !options.force) {
-    const latestTagVersion = latestTag.replace(/^v/, '');
+    const latestTagVersion = parseTag(tagFormat, latestTag);
     const comparison = compareVersions(currentVersion, latestTagVersion);
     if (comparison <= 0) {
       baseVersion = latestTagVersion;
@@ -346,14 +576,46 @@ Examples:
     }
   }
   
-  const newVersion = generateNextVersion(baseVersion, bumpType);
+  let newVersion;
+  try {
+    newVersion = generateNextVersion(baseVersion, bumpType, options.channel, options.buildNumber);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
+  // Look for the tag before pubspec.yaml is touched, so a taken tag leaves nothing behind
+  let existingTag = options.createTag ? findExistingTag(formatTag(tagFormat, newVersion)) : null;
+  if (existingTag && options.onTagExists === 'fail') {
+    console.error(`❌ Tag ${formatTag(tagFormat, newVersion)} already exists ${existingTag}. Use --on-tag-exists to skip, bump-again or move`);
+    process.exit(1);
+  }
+  while (existingTag && options.onTagExists === 'bump-again') {
+    const nextVersion = generateNextVersion(newVersion, bumpType, options.channel, options.buildNumber);
+    if (nextVersion === newVersion) {
+      console.error(`❌ Tag ${formatTag(tagFormat, newVersion)} already exists ${existingTag} and a ${bumpType} bump gives the same version again`);
+      process.exit(1);
+    }
+    console.log(`🏷️  Tag ${formatTag(tagFormat, newVersion)} already exists ${existingTag}, bumping again to ${nextVersion}`);
+    newVersion = nextVersion;
+    existingTag = findExistingTag(formatTag(tagFormat, newVersion));
+  }
+  if (parseFlutterVersion(newVersion).build > MAX_ANDROID_VERSION_CODE) {
+    console.warn(`⚠️  Build number is above ${MAX_ANDROID_VERSION_CODE}, the highest versionCode Google Play accepts`);
+  }
   console.log(`📈 Version bump: ${currentVersion} → ${newVersion} (${bumpType})`);
   
   if (options.dryRun) {
     console.log('\n🔍 DRY RUN - No changes will be made');
     console.log(`Would update pubspec.yaml version to: ${newVersion}`);
+    if (options.changelog) {
+      console.log(`Would add a ${newVersion} section to ${options.changelogPath}`);
+    }
+    if (options.dartConstants) {
+      console.log(`Would write version constants to ${options.dartConstantsPath}`);
+    }
     if (options.createTag) {
-      console.log(`Would create and push tag: v${newVersion}`);
+      console.log(`Would create and push tag: ${formatTag(tagFormat, newVersion)}`);
     }
     return;
   }
@@ -374,11 +636,46 @@ Examples:
     process.exit(1);
   }
   
+  // Update the changelog
+  if (options.changelog) {
+    const commits = getCommitsSince(latestTag);
+    const section = renderChangelogSection({
+      version: newVersion,
+      previousVersion: latestTag ? parseTag(tagFormat, latestTag) : null,
+      commits
+    }, options.changelogTemplate);
+    updateChangelog(options.changelogPath, section);
+    console.log(`📝 Added ${commits.length} commit(s) to ${options.changelogPath}`);
+  }
+  
+  // Write the Dart version constants
+  if (options.dartConstants) {
+    const gitSha = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim();
+    writeDartConstants(options.dartConstantsPath, { version: newVersion, gitSha }, options.dartConstantsTemplate);
+    console.log(`🎯 Wrote version constants to ${options.dartConstantsPath}`);
+  }
+  
+  const generated = [
+    ...(options.changelog ? [options.changelogPath] : []),
+    ...(options.dartConstants ? [options.dartConstantsPath] : [])
+  ];
+  
   // Create tag if requested
   if (options.createTag) {
+    // The tag has to point at the bumped pubspec.yaml and the files generated for it, not the old HEAD
+    console.log('\n📦 Committing the release...');
+    try {
+      execSync(`git add pubspec.yaml ${generated.join(' ')}`, { stdio: 'inherit' });
+      // The trailer lets the action's loop guard skip the run this commit triggers
+      execSync('git commit -F -', { input: addBumpTrailer(`chore(release): ${newVersion}`), stdio: ['pipe', 'inherit', 'inherit'] });
+    } catch (error) {
+      console.error(`❌ Could not commit the release: ${error.message}`);
+      process.exit(1);
+    }
+    
     console.log('\n🏷️  Creating and pushing tag...');
-    if (createAndPushTag(newVersion)) {
-      console.log(`✅ Successfully created and pushed tag: v${newVersion}`);
+    if (createAndPushTag(formatTag(tagFormat, newVersion), null, options.onTagExists, true)) {
+      console.log(`✅ Successfully pushed the release commit and tag: ${formatTag(tagFormat, newVersion)}`);
     } else {
       console.error('❌ Failed to create/push tag');
       process.exit(1);
@@ -390,8 +687,11 @@ Examples:
   
   if (!options.createTag) {
     console.log('\n💡 To create a tag for this version, run:');
-    console.log(`   git tag -a v${newVersion} -m "Release v${newVersion}"`);
-    console.log(`   git push origin v${newVersion}`);
+    console.log(`   git add pubspec.yaml ${generated.join(' ')}`.trimEnd());
+    console.log(`   git commit -m "chore(release): ${newVersion}"`);
+    const tagName = formatTag(tagFormat, newVersion);
+    console.log(`   git tag -a ${tagName} -m "Release ${tagName}"`);
+    console.log(`   git push --atomic origin HEAD ${tagName}`);
   }
 }
 
@@ -405,7 +705,9 @@ module.exports = {
   compareVersions,
   generateNextVersion,
   getLatestTag,
+  getCommitsSince,
   getCurrentVersion,
   updatePubspecVersion,
-  determineBumpType
+  determineBumpType,
+  BUMP_TYPES
 };
\ No newline at end of file
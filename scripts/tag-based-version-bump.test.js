@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { generateNextVersion, determineBumpType, getLatestTag } = require('./tag-based-version-bump');
+
+describe('Tag-Based Version Bump Tests', () => {
+  describe('generateNextVersion', () => {
+    test('should bump release parts and reset the build', () => {
+      expect(generateNextVersion('1.0.3+5', 'build')).toBe('1.0.3+6');
+      expect(generateNextVersion('1.0.3+5', 'patch')).toBe('1.0.4+1');
+      expect(generateNextVersion('1.0.3+5', 'minor')).toBe('1.1.0+1');
+      expect(generateNextVersion('1.0.3+5', 'major')).toBe('2.0.0+1');
+    });
+
+    test('should start pre-releases on the requested channel', () => {
+      expect(generateNextVersion('1.0.3+5', 'premajor')).toBe('2.0.0-beta.1+1');
+      expect(generateNextVersion('1.0.3+5', 'preminor', 'alpha')).toBe('1.1.0-alpha.1+1');
+      expect(generateNextVersion('1.0.3+5', 'prepatch', 'rc')).toBe('1.0.4-rc.1+1');
+      expect(generateNextVersion('1.0.3+5', 'prerelease')).toBe('1.0.4-beta.1+1');
+    });
+
+    test('should continue the pre-release and keep the build growing', () => {
+      expect(generateNextVersion('2.0.0-beta.2+40', 'prerelease')).toBe('2.0.0-beta.3+41');
+      expect(generateNextVersion('2.0.0-beta+40', 'prerelease')).toBe('2.0.0-beta.1+41');
+      expect(generateNextVersion('2.0.0-beta.3+41', 'prerelease', 'rc')).toBe('2.0.0-rc.1+42');
+      expect(generateNextVersion('2.0.0-beta.3+41', 'build')).toBe('2.0.0-beta.3+42');
+    });
+
+    test('should refuse to move to a lower channel', () => {
+      expect(() => generateNextVersion('2.0.0-rc.1+42', 'prerelease', 'beta'))
+        .toThrow('Cannot move 2.0.0-rc.1+42 to channel "beta": 2.0.0-beta.1 ranks below 2.0.0-rc.1');
+    });
+
+    test('should promote a pre-release to stable', () => {
+      expect(generateNextVersion('2.0.0-beta.3+41', 'promote')).toBe('2.0.0+42');
+      expect(generateNextVersion('2.0.0-beta.3+41', 'patch')).toBe('2.0.1+1');
+      expect(() => generateNextVersion('2.0.0+42', 'promote')).toThrow('Cannot promote 2.0.0+42: it is not a pre-release');
+    });
+  });
+
+  describe('build number strategies', () => {
+    test('should keep growing the build with never-reset', () => {
+      expect(generateNextVersion('1.0.3+5', 'patch', 'beta', { strategy: 'never-reset' })).toBe('1.0.4+6');
+      expect(generateNextVersion('1.0.3+5', 'premajor', 'beta', { strategy: 'never-reset' })).toBe('2.0.0-beta.1+6');
+    });
+
+    test('should use the requested strategy', () => {
+      expect(generateNextVersion('1.0.3+5', 'minor', 'beta', { strategy: 'ci-run-number', runNumber: 90 })).toBe('1.1.0+90');
+      expect(generateNextVersion('1.0.3+5', 'patch', 'beta', { strategy: 'derived' })).toBe('1.0.4+1000400');
+    });
+  });
+
+  describe('determineBumpType', () => {
+    test('should bump the build when the version matches the tag', () => {
+      expect(determineBumpType('1.0.3+5', '1.0.3+5')).toBe('build');
+      expect(determineBumpType('2.0.0-beta.1+3', '2.0.0-beta.1+3')).toBe('build');
+    });
+
+    test('should treat a pre-release as behind its release tag', () => {
+      expect(determineBumpType('2.0.0-beta.1+3', '2.0.0+2')).toBe('patch');
+      expect(determineBumpType('2.0.0-beta.1+3', '1.9.0+2')).toBe('build');
+    });
+  });
+
+  describe('getLatestTag', () => {
+    let repo;
+    let originalCwd;
+    const git = command => execSync(`git ${command}`, { cwd: repo, stdio: 'pipe' });
+
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'latest-tag-'));
+      git('init -q');
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      git('commit -q --allow-empty -m first');
+      git('tag v1.0.0+1');
+      git('commit -q --allow-empty -m second');
+      git('tag v1.2.0+3');
+      process.chdir(repo);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    test('should pick the highest version tag', () => {
+      git('tag v1.1.0+2 HEAD~1');
+      expect(getLatestTag()).toBe('v1.2.0+3');
+    });
+
+    test('should not let a newer tag outside the format hide the version tags', () => {
+      git('commit -q --allow-empty -m docs');
+      git('tag v2-docs');
+      expect(getLatestTag()).toBe('v1.2.0+3');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { parseFlutterVersion, formatVersion } = require('./version');
+
+const BUILD_NUMBER_STRATEGIES = ['increment', 'never-reset', 'git-commit-count', 'ci-run-number', 'timestamp', 'derived'];
+
+// Highest versionCode Google Play accepts
+const MAX_ANDROID_VERSION_CODE = 2100000000;
+
+const DEFAULT_TIMESTAMP_FORMAT = 'yyMMddHHmm';
+const DEFAULT_DERIVED_DIGITS = '2,2,2';
+
+/**
+ * Format a date as a number, in UTC
+ * @param {Date} date - Date to format
+ * @param {string} format - Pattern with yyyy, yy, MM, dd, HH, mm and ss
+ * @returns {number} - Timestamp build number
+ */
+function formatTimestamp(date, format = DEFAULT_TIMESTAMP_FORMAT) {
+  const pad = value => String(value).padStart(2, '0');
+  const tokens = {
+    yyyy: String(date.getUTCFullYear()),
+    yy: pad(date.getUTCFullYear() % 100),
+    MM: pad(date.getUTCMonth() + 1),
+    dd: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+
+  const formatted = format.replace(/yyyy|yy|MM|dd|HH|mm|ss/g, token => tokens[token]);
+  if (!/^\d+$/.test(formatted)) {
+    throw new Error(`Timestamp format "${format}" must only contain yyyy, yy, MM, dd, HH, mm and ss`);
+  }
+  return parseInt(formatted, 10);
+}
+
+/**
+ * Parse the digit widths used by the derived strategy
+ * @param {string} digits - Comma separated widths for minor, patch and the build counter
+ * @returns {number[]} - [minor, patch, counter] widths
+ */
+function parseDigits(digits = DEFAULT_DERIVED_DIGITS) {
+  const widths = String(digits).split(',').map(width => width.trim());
+  if (widths.length !== 3 || widths.some(width => !/^\d+$/.test(width))) {
+    throw new Error(`Invalid build number digits "${digits}": expected three widths for minor, patch and counter, e.g. "2,2,2"`);
+  }
+  return widths.map(width => parseInt(width, 10));
+}
+
+/**
+ * Encode major, minor and patch into a versionCode, followed by a counter for repeated builds
+ * @param {object|null} previous - Parsed previous version
+ * @param {object} next - { major, minor, patch } of the next version
+ * @param {string} digits - Widths for minor, patch and counter
+ * @returns {number} - Derived build number
+ */
+function deriveBuildNumber(previous, next, digits) {
+  const [minorWidth, patchWidth, counterWidth] = parseDigits(digits);
+  const fit = (name, value, width) => {
+    if (String(value).length > width) {
+      throw new Error(`Cannot derive a build number: ${name} ${value} does not fit in ${width} digit(s)`);
+    }
+    return value;
+  };
+
+  const prefix = (next.major * 10 ** minorWidth
+    + fit('minor', next.minor, minorWidth)) * 10 ** patchWidth
+    + fit('patch', next.patch, patchWidth);
+
+  // Count up when the previous build already encodes the same version
+  const scale = 10 ** counterWidth;
+  let counter = 0;
+  if (previous && Math.floor(previous.build / scale) === prefix) {
+    counter = fit('build counter', previous.build % scale + 1, counterWidth);
+  }
+
+  return prefix * scale + counter;
+}
+
+/**
+ * Compute the build number of the next version
+ * @param {object|null} previous - Parsed version the bump starts from
+ * @param {object} next - { major, minor, patch } of the next version
+ * @param {object} [options] - Strategy options
+ * @param {string} [options.strategy] - One of BUILD_NUMBER_STRATEGIES, defaults to never-reset
+ * @param {number} [options.commitCount] - Commits on HEAD, for git-commit-count
+ * @param {string|number} [options.runNumber] - CI run number, defaults to GITHUB_RUN_NUMBER
+ * @param {Date} [options.date] - Time of the build, for timestamp
+ * @param {string} [options.timestampFormat] - Pattern for timestamp
+ * @param {string} [options.digits] - Widths for derived
+ * @returns {number} - Build number
+ */
+function computeBuildNumber(previous, next, options = {}) {
+  const { strategy = 'never-reset' } = options;
+  const previousBuild = previous ? previous.build : 0;
+
+  switch (strategy) {
+    case 'increment': {
+      const sameRelease = previous
+        && previous.major === next.major
+        && previous.minor === next.minor
+        && previous.patch === next.patch;
+      return sameRelease ? previousBuild + 1 : 1;
+    }
+    case 'never-reset':
+      return previousBuild + 1;
+    case 'git-commit-count':
+      if (!Number.isInteger(options.commitCount)) {
+        throw new Error('The git-commit-count build number strategy needs the commit count of HEAD');
+      }
+      return options.commitCount;
+    case 'ci-run-number': {
+      const runNumber = options.runNumber !== undefined ? options.runNumber : process.env.GITHUB_RUN_NUMBER;
+      if (!/^\d+$/.test(String(runNumber || ''))) {
+        throw new Error('The ci-run-number build number strategy needs GITHUB_RUN_NUMBER to be set');
+      }
+      return parseInt(runNumber, 10);
+    }
+    case 'timestamp':
+      return formatTimestamp(options.date || new Date(), options.timestampFormat || DEFAULT_TIMESTAMP_FORMAT);
+    case 'derived':
+      return deriveBuildNumber(previous, next, options.digits || DEFAULT_DERIVED_DIGITS);
+    default:
+      throw new Error(`Invalid build number strategy "${strategy}". Expected one of: ${BUILD_NUMBER_STRATEGIES.join(', ')}`);
+  }
+}
+
+/**
+ * Find the highest build number in use
+ * @param {object[]} used - Used build numbers as { ref, version, build }
+ * @returns {object|null} - Entry with the highest build, or null when none
+ */
+function findHighestBuildNumber(used) {
+  return used.reduce((highest, entry) => (!highest || entry.build > highest.build ? entry : highest), null);
+}
+
+/**
+ * Raise the build number of a version above every build number already in use
+ * @param {string} version - Planned version
+ * @param {object[]} used - Used build numbers as { ref, version, build }
+ * @returns {object} - { version, owner }, where owner is the entry that forced a higher build, or null
+ */
+function ensureUniqueBuildNumber(version, used) {
+  const parsed = parseFlutterVersion(version);
+  const highest = findHighestBuildNumber(used);
+  if (!highest || parsed.build > highest.build) {
+    return { version, owner: null };
+  }
+
+  return {
+    version: formatVersion({ ...parsed, build: highest.build + 1 }),
+    owner: used.find(entry => entry.build === parsed.build) || highest
+  };
+}
+
+module.exports = {
+  BUILD_NUMBER_STRATEGIES,
+  MAX_ANDROID_VERSION_CODE,
+  formatTimestamp,
+  deriveBuildNumber,
+  computeBuildNumber,
+  findHighestBuildNumber,
+  ensureUniqueBuildNumber
+};
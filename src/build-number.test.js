@@ -0,0 +1,130 @@
+const {
+  formatTimestamp,
+  deriveBuildNumber,
+  computeBuildNumber,
+  findHighestBuildNumber,
+  ensureUniqueBuildNumber
+} = require('./build-number');
+const { parseFlutterVersion } = require('./version');
+
+const previous = parseFlutterVersion('1.2.3+41');
+const samePatch = { major: 1, minor: 2, patch: 3 };
+const nextPatch = { major: 1, minor: 2, patch: 4 };
+
+describe('Build number', () => {
+  describe('increment', () => {
+    test('should increment within a release and reset on version bumps', () => {
+      expect(computeBuildNumber(previous, samePatch, { strategy: 'increment' })).toBe(42);
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'increment' })).toBe(1);
+      expect(computeBuildNumber(null, nextPatch, { strategy: 'increment' })).toBe(1);
+    });
+  });
+
+  describe('never-reset', () => {
+    test('should always increment the previous build', () => {
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'never-reset' })).toBe(42);
+      expect(computeBuildNumber(previous, { major: 2, minor: 0, patch: 0 })).toBe(42);
+      expect(computeBuildNumber(null, nextPatch, { strategy: 'never-reset' })).toBe(1);
+    });
+  });
+
+  describe('git-commit-count', () => {
+    test('should use the commit count', () => {
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'git-commit-count', commitCount: 318 })).toBe(318);
+    });
+
+    test('should require the commit count', () => {
+      expect(() => computeBuildNumber(previous, nextPatch, { strategy: 'git-commit-count' }))
+        .toThrow('The git-commit-count build number strategy needs the commit count of HEAD');
+    });
+  });
+
+  describe('ci-run-number', () => {
+    const originalRunNumber = process.env.GITHUB_RUN_NUMBER;
+
+    afterEach(() => {
+      if (originalRunNumber === undefined) {
+        delete process.env.GITHUB_RUN_NUMBER;
+      } else {
+        process.env.GITHUB_RUN_NUMBER = originalRunNumber;
+      }
+    });
+
+    test('should read GITHUB_RUN_NUMBER', () => {
+      process.env.GITHUB_RUN_NUMBER = '57';
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'ci-run-number' })).toBe(57);
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'ci-run-number', runNumber: 8 })).toBe(8);
+    });
+
+    test('should require a run number', () => {
+      delete process.env.GITHUB_RUN_NUMBER;
+      expect(() => computeBuildNumber(previous, nextPatch, { strategy: 'ci-run-number' }))
+        .toThrow('The ci-run-number build number strategy needs GITHUB_RUN_NUMBER to be set');
+    });
+  });
+
+  describe('timestamp', () => {
+    const date = new Date('2026-03-04T10:15:09Z');
+
+    test('should format the date in UTC', () => {
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'timestamp', date })).toBe(2603041015);
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'timestamp', date, timestampFormat: 'yyyyMMddHHmmss' })).toBe(20260304101509);
+      expect(formatTimestamp(date, 'yyMMddHH')).toBe(26030410);
+    });
+
+    test('should reject patterns that do not produce a number', () => {
+      expect(() => formatTimestamp(date, 'yy-MM-dd')).toThrow('Timestamp format "yy-MM-dd" must only contain yyyy, yy, MM, dd, HH, mm and ss');
+    });
+  });
+
+  describe('derived', () => {
+    test('should encode the version with the configured digit widths', () => {
+      expect(computeBuildNumber(previous, nextPatch, { strategy: 'derived' })).toBe(1020400);
+      expect(deriveBuildNumber(null, { major: 12, minor: 34, patch: 5 }, '3,3,1')).toBe(120340050);
+      expect(deriveBuildNumber(null, nextPatch, '1,1,0')).toBe(124);
+    });
+
+    test('should count up rebuilds of the same version', () => {
+      expect(deriveBuildNumber(parseFlutterVersion('1.2.4+1020400'), nextPatch, '2,2,2')).toBe(1020401);
+      expect(deriveBuildNumber(parseFlutterVersion('1.2.4+1020401'), nextPatch, '2,2,2')).toBe(1020402);
+      expect(deriveBuildNumber(parseFlutterVersion('1.2.3+1020305'), nextPatch, '2,2,2')).toBe(1020400);
+    });
+
+    test('should reject versions that do not fit', () => {
+      expect(() => deriveBuildNumber(null, { major: 1, minor: 100, patch: 0 }, '2,2,2'))
+        .toThrow('Cannot derive a build number: minor 100 does not fit in 2 digit(s)');
+      expect(() => deriveBuildNumber(parseFlutterVersion('1.2.4+1020499'), nextPatch, '2,2,2'))
+        .toThrow('Cannot derive a build number: build counter 100 does not fit in 2 digit(s)');
+      expect(() => deriveBuildNumber(null, nextPatch, '2,2'))
+        .toThrow('Invalid build number digits "2,2": expected three widths for minor, patch and counter, e.g. "2,2,2"');
+    });
+  });
+
+  describe('ensureUniqueBuildNumber', () => {
+    const used = [
+      { ref: 'v1.2.3+41', version: '1.2.3+41', build: 41 },
+      { ref: 'origin/hotfix', version: '1.2.4+42', build: 42 },
+      { ref: 'origin/main', version: '1.2.3+40', build: 40 }
+    ];
+
+    test('should find the highest build number', () => {
+      expect(findHighestBuildNumber(used).ref).toBe('origin/hotfix');
+      expect(findHighestBuildNumber([])).toBeNull();
+    });
+
+    test('should keep versions above every used build', () => {
+      expect(ensureUniqueBuildNumber('1.2.5+43', used)).toEqual({ version: '1.2.5+43', owner: null });
+      expect(ensureUniqueBuildNumber('1.2.5+1', [])).toEqual({ version: '1.2.5+1', owner: null });
+    });
+
+    test('should raise the build and name the ref that owned it', () => {
+      expect(ensureUniqueBuildNumber('1.2.5+41', used)).toEqual({ version: '1.2.5+43', owner: used[0] });
+      expect(ensureUniqueBuildNumber('2.0.0-rc.1+7', used)).toEqual({ version: '2.0.0-rc.1+43', owner: used[1] });
+    });
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => computeBuildNumber(previous, nextPatch, { strategy: 'random' }))
+      .toThrow('Invalid build number strategy "random". Expected one of: increment, never-reset, git-commit-count, ci-run-number, timestamp, derived');
+  });
+});
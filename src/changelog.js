@@ -0,0 +1,137 @@
+const fs = require('fs');
+const { parseConventionalCommit } = require('./conventional-commits');
+
+/**
+ * Default changelog section template. Placeholders:
+ * {version}, {previousVersion}, {date}, {features}, {fixes}, {other} and {commits}.
+ * Group placeholders render a "### <Group>" block, or nothing when the group is empty.
+ */
+const DEFAULT_TEMPLATE = `## {version} ({date})
+
+{features}
+{fixes}
+{other}`;
+
+const GROUP_TITLES = {
+  features: 'Features',
+  fixes: 'Bug Fixes',
+  other: 'Other Changes'
+};
+
+/**
+ * Format a commit as a changelog list entry
+ * @param {object} commit - Commit as { sha, message }
+ * @returns {string} - Markdown list item
+ */
+function formatEntry(commit) {
+  const parsed = parseConventionalCommit(commit.message);
+  const shortSha = commit.sha.substring(0, 7);
+
+  if (!parsed) {
+    return `- ${commit.message.split(/\r?\n/)[0]} (${shortSha})`;
+  }
+
+  const breaking = parsed.breaking ? '**BREAKING** ' : '';
+  const scope = parsed.scope ? `**${parsed.scope}:** ` : '';
+  return `- ${breaking}${scope}${parsed.subject} (${shortSha})`;
+}
+
+/**
+ * Group commits into features, fixes and other changes
+ * @param {object[]} commits - Commits as { sha, message }
+ * @returns {object} - { features, fixes, other } arrays of commits
+ */
+function groupCommits(commits) {
+  const groups = { features: [], fixes: [], other: [] };
+
+  for (const commit of commits) {
+    const parsed = parseConventionalCommit(commit.message);
+    if (parsed && parsed.type === 'feat') {
+      groups.features.push(commit);
+    } else if (parsed && (parsed.type === 'fix' || parsed.type === 'perf')) {
+      groups.fixes.push(commit);
+    } else {
+      groups.other.push(commit);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Render a changelog section for a release
+ * @param {object} release - Release details
+ * @param {string} release.version - New version
+ * @param {string} [release.previousVersion] - Version the commits are counted from
+ * @param {object[]} release.commits - Commits as { sha, message }
+ * @param {Date} [release.date] - Release date, defaults to now
+ * @param {string} [template] - Section template, defaults to DEFAULT_TEMPLATE
+ * @returns {string} - Markdown section ending with a blank line
+ */
+function renderChangelogSection(release, template = DEFAULT_TEMPLATE) {
+  const { version, previousVersion, commits, date = new Date() } = release;
+  const groups = groupCommits(commits);
+
+  const values = {
+    version,
+    previousVersion: previousVersion || '',
+    date: date.toISOString().slice(0, 10),
+    commits: commits.map(formatEntry).join('\n')
+  };
+  for (const [group, title] of Object.entries(GROUP_TITLES)) {
+    values[group] = groups[group].length > 0
+      ? `### ${title}\n\n${groups[group].map(formatEntry).join('\n')}\n`
+      : '';
+  }
+
+  const rendered = (template || DEFAULT_TEMPLATE).replace(/\{(\w+)\}/g, (placeholder, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+  ));
+
+  // Empty groups leave blank lines behind
+  return `${rendered.replace(/\n{3,}/g, '\n\n').trim()}\n\n`;
+}
+
+/**
+ * Insert a section above the previous releases, below the document title
+ * @param {string} content - Existing changelog content
+ * @param {string} section - Rendered section
+ * @returns {string} - Updated changelog content
+ */
+function prependChangelogSection(content, section) {
+  if (!content.trim()) {
+    return `# Changelog\n\n${section}`;
+  }
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const normalizedSection = section.replace(/\n/g, eol);
+
+  // New releases go above the first existing release, below any title and intro
+  const firstSection = content.search(/^## /m);
+  if (firstSection >= 0) {
+    return content.slice(0, firstSection) + normalizedSection + content.slice(firstSection);
+  }
+  if (content.startsWith('# ')) {
+    return content.replace(/(\r?\n)*$/, eol + eol) + normalizedSection;
+  }
+  return normalizedSection + content;
+}
+
+/**
+ * Prepend a section to a changelog file, creating it when missing
+ * @param {string} changelogPath - Path to CHANGELOG.md
+ * @param {string} section - Rendered section
+ */
+function updateChangelog(changelogPath, section) {
+  const content = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8') : '';
+  fs.writeFileSync(changelogPath, prependChangelogSection(content, section), 'utf8');
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  groupCommits,
+  formatEntry,
+  renderChangelogSection,
+  prependChangelogSection,
+  updateChangelog
+};
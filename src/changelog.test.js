@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  groupCommits,
+  formatEntry,
+  renderChangelogSection,
+  prependChangelogSection,
+  updateChangelog
+} = require('./changelog');
+
+const commits = [
+  { sha: 'aaaaaaa1111', message: 'feat(auth): add login' },
+  { sha: 'bbbbbbb2222', message: 'fix: crash on start\n\nDetails' },
+  { sha: 'ccccccc3333', message: 'perf!: faster sync' },
+  { sha: 'ddddddd4444', message: 'Update README' }
+];
+
+describe('Changelog', () => {
+  describe('groupCommits', () => {
+    test('should group features, fixes and other changes', () => {
+      const groups = groupCommits(commits);
+      expect(groups.features.map(commit => commit.sha)).toEqual(['aaaaaaa1111']);
+      expect(groups.fixes.map(commit => commit.sha)).toEqual(['bbbbbbb2222', 'ccccccc3333']);
+      expect(groups.other.map(commit => commit.sha)).toEqual(['ddddddd4444']);
+    });
+  });
+
+  describe('formatEntry', () => {
+    test('should show scope, breaking marker and short SHA', () => {
+      expect(formatEntry(commits[0])).toBe('- **auth:** add login (aaaaaaa)');
+      expect(formatEntry(commits[2])).toBe('- **BREAKING** faster sync (ccccccc)');
+      expect(formatEntry(commits[3])).toBe('- Update README (ddddddd)');
+    });
+  });
+
+  describe('renderChangelogSection', () => {
+    const date = new Date('2026-03-04T10:00:00Z');
+
+    test('should render the default template', () => {
+      expect(renderChangelogSection({ version: '1.1.0+5', commits, date })).toBe([
+        '## 1.1.0+5 (2026-03-04)',
+        '',
+        '### Features',
+        '',
+        '- **auth:** add login (aaaaaaa)',
+        '',
+        '### Bug Fixes',
+        '',
+        '- crash on start (bbbbbbb)',
+        '- **BREAKING** faster sync (ccccccc)',
+        '',
+        '### Other Changes',
+        '',
+        '- Update README (ddddddd)',
+        '',
+        ''
+      ].join('\n'));
+    });
+
+    test('should leave out empty groups', () => {
+      expect(renderChangelogSection({ version: '1.0.1+2', commits: [commits[1]], date }))
+        .toBe('## 1.0.1+2 (2026-03-04)\n\n### Bug Fixes\n\n- crash on start (bbbbbbb)\n\n');
+    });
+
+    test('should render a custom template', () => {
+      const template = '## [{version}] - {date}\nSince {previousVersion}:\n{commits}\n{unknown}';
+      expect(renderChangelogSection({ version: '2.0.0', previousVersion: '1.9.0', commits: commits.slice(0, 2), date }, template))
+        .toBe('## [2.0.0] - 2026-03-04\nSince 1.9.0:\n- **auth:** add login (aaaaaaa)\n- crash on start (bbbbbbb)\n{unknown}\n\n');
+    });
+  });
+
+  describe('prependChangelogSection', () => {
+    const section = '## 1.1.0 (2026-03-04)\n\n- new\n\n';
+
+    test('should insert below the title and above older releases', () => {
+      const content = '# Changelog\n\nAll notable changes.\n\n## 1.0.0 (2026-01-01)\n\n- old\n';
+      expect(prependChangelogSection(content, section))
+        .toBe('# Changelog\n\nAll notable changes.\n\n## 1.1.0 (2026-03-04)\n\n- new\n\n## 1.0.0 (2026-01-01)\n\n- old\n');
+    });
+
+    test('should keep CRLF line endings', () => {
+      expect(prependChangelogSection('# Changelog\r\n', section))
+        .toBe('# Changelog\r\n\r\n## 1.1.0 (2026-03-04)\r\n\r\n- new\r\n\r\n');
+    });
+
+    test('should create a title for new changelogs', () => {
+      expect(prependChangelogSection('', section)).toBe(`# Changelog\n\n${section}`);
+      expect(prependChangelogSection('Notes\n', section)).toBe(`${section}Notes\n`);
+    });
+  });
+
+  describe('updateChangelog', () => {
+    test('should create and then prepend to the file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-'));
+      const file = path.join(dir, 'CHANGELOG.md');
+
+      updateChangelog(file, '## 1.0.0\n\n- a\n\n');
+      updateChangelog(file, '## 1.0.1\n\n- b\n\n');
+
+      expect(fs.readFileSync(file, 'utf8')).toBe('# Changelog\n\n## 1.0.1\n\n- b\n\n## 1.0.0\n\n- a\n\n');
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
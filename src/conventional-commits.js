@@ -0,0 +1,106 @@
+// Bump types ordered from weakest to strongest
+const BUMP_ORDER = ['patch', 'minor', 'major'];
+
+// Separators used by GIT_LOG_FORMAT, which cannot appear in commit messages
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+const GIT_LOG_FORMAT = '--format=%H%x1f%B%x1e';
+
+/**
+ * Parse a commit message following the Conventional Commits specification
+ * @param {string} message - Full commit message
+ * @returns {object|null} - { type, scope, breaking, subject }, or null for non-conventional messages
+ */
+function parseConventionalCommit(message) {
+  if (!message) return null;
+
+  const [header, ...body] = message.trim().split(/\r?\n/);
+  const match = header.match(/^(\w+)(?:\(([^)]*)\))?(!)?:[ \t]+(.+)$/);
+  if (!match) return null;
+
+  const [, type, scope, bang, subject] = match;
+  const breakingFooter = body.some(line => /^BREAKING[ -]CHANGE:/.test(line));
+
+  return {
+    type: type.toLowerCase(),
+    scope: scope || null,
+    breaking: Boolean(bang) || breakingFooter,
+    subject: subject.trim()
+  };
+}
+
+/**
+ * Get the bump a single commit asks for
+ * @param {object|null} parsed - Parsed conventional commit
+ * @returns {string|null} - major, minor, patch, or null when it does not affect the version
+ */
+function bumpForCommit(parsed) {
+  if (!parsed) return null;
+  if (parsed.breaking) return 'major';
+  if (parsed.type === 'feat') return 'minor';
+  if (parsed.type === 'fix' || parsed.type === 'perf') return 'patch';
+  return null;
+}
+
+/**
+ * Parse `git log` output produced with GIT_LOG_FORMAT
+ * @param {string} output - Raw git log output
+ * @returns {object[]} - Commits as { sha, message }
+ */
+function parseGitLog(output) {
+  return (output || '')
+    .split(RECORD_SEPARATOR)
+    .map(record => record.replace(/^\s+/, ''))
+    .filter(Boolean)
+    .map(record => {
+      const [sha, message = ''] = record.split(FIELD_SEPARATOR);
+      return { sha: sha.trim(), message: message.trim() };
+    });
+}
+
+/**
+ * Infer the bump type from a list of commits
+ * @param {object[]} commits - Commits as { sha, message }
+ * @returns {object} - { bumpType, commits, explanation } where commits are the ones that decided the bump;
+ *   bumpType is null when no commit asks for a release
+ */
+function inferBumpType(commits) {
+  let bumpType = null;
+  let deciding = [];
+
+  for (const commit of commits) {
+    const parsed = parseConventionalCommit(commit.message);
+    const bump = bumpForCommit(parsed);
+    if (!bump) continue;
+
+    const rank = BUMP_ORDER.indexOf(bump);
+    if (bumpType === null || rank > BUMP_ORDER.indexOf(bumpType)) {
+      bumpType = bump;
+      deciding = [];
+    }
+    if (bump === bumpType) {
+      deciding.push({ sha: commit.sha, header: commit.message.split(/\r?\n/)[0], type: parsed.type, breaking: parsed.breaking });
+    }
+  }
+
+  let explanation;
+  if (!bumpType) {
+    explanation = `No feat, fix, perf or breaking commits among ${commits.length} commit(s)`;
+  } else {
+    const reason = bumpType === 'major' ? 'breaking change' : bumpType === 'minor' ? 'feat' : 'fix/perf';
+    explanation = [
+      `${bumpType} bump (${reason}) decided by ${deciding.length} of ${commits.length} commit(s):`,
+      ...deciding.map(commit => `  - ${commit.sha.substring(0, 7)} ${commit.header}`)
+    ].join('\n');
+  }
+
+  return { bumpType, commits: deciding, explanation };
+}
+
+module.exports = {
+  GIT_LOG_FORMAT,
+  parseConventionalCommit,
+  bumpForCommit,
+  parseGitLog,
+  inferBumpType
+};
@@ -0,0 +1,87 @@
+const {
+  parseConventionalCommit,
+  bumpForCommit,
+  parseGitLog,
+  inferBumpType
+} = require('./conventional-commits');
+
+describe('Conventional Commits', () => {
+  describe('parseConventionalCommit', () => {
+    test('should parse type, scope and subject', () => {
+      expect(parseConventionalCommit('feat(auth): add login')).toEqual({
+        type: 'feat',
+        scope: 'auth',
+        breaking: false,
+        subject: 'add login'
+      });
+    });
+
+    test('should detect breaking changes from "!" and footers', () => {
+      expect(parseConventionalCommit('refactor!: drop v1 API').breaking).toBe(true);
+      expect(parseConventionalCommit('fix: rename field\n\nBREAKING CHANGE: field renamed').breaking).toBe(true);
+      expect(parseConventionalCommit('fix: rename field\r\n\r\nBREAKING-CHANGE: field renamed').breaking).toBe(true);
+    });
+
+    test('should return null for other messages', () => {
+      expect(parseConventionalCommit('Merge branch main')).toBeNull();
+      expect(parseConventionalCommit('feat:missing space')).toBeNull();
+      expect(parseConventionalCommit('')).toBeNull();
+    });
+  });
+
+  describe('bumpForCommit', () => {
+    test('should map commit types to bumps', () => {
+      expect(bumpForCommit(parseConventionalCommit('feat: a'))).toBe('minor');
+      expect(bumpForCommit(parseConventionalCommit('fix: a'))).toBe('patch');
+      expect(bumpForCommit(parseConventionalCommit('perf: a'))).toBe('patch');
+      expect(bumpForCommit(parseConventionalCommit('chore!: a'))).toBe('major');
+      expect(bumpForCommit(parseConventionalCommit('docs: a'))).toBeNull();
+      expect(bumpForCommit(null)).toBeNull();
+    });
+  });
+
+  describe('parseGitLog', () => {
+    test('should split records and fields', () => {
+      const output = 'aaa\x1ffeat: one\n\nbody\n\x1e\nbbb\x1ffix: two\n\x1e\n';
+      expect(parseGitLog(output)).toEqual([
+        { sha: 'aaa', message: 'feat: one\n\nbody' },
+        { sha: 'bbb', message: 'fix: two' }
+      ]);
+      expect(parseGitLog('')).toEqual([]);
+    });
+  });
+
+  describe('inferBumpType', () => {
+    test('should pick the strongest bump and list the deciding commits', () => {
+      const result = inferBumpType([
+        { sha: '1111111aaa', message: 'fix: crash' },
+        { sha: '2222222bbb', message: 'feat(ui): dark mode' },
+        { sha: '3333333ccc', message: 'docs: readme' },
+        { sha: '4444444ddd', message: 'feat: search' }
+      ]);
+
+      expect(result.bumpType).toBe('minor');
+      expect(result.commits.map(commit => commit.sha)).toEqual(['2222222bbb', '4444444ddd']);
+      expect(result.explanation).toBe([
+        'minor bump (feat) decided by 2 of 4 commit(s):',
+        '  - 2222222 feat(ui): dark mode',
+        '  - 4444444 feat: search'
+      ].join('\n'));
+    });
+
+    test('should give major for breaking changes', () => {
+      const result = inferBumpType([
+        { sha: 'a', message: 'feat: search' },
+        { sha: 'b', message: 'fix: api\n\nBREAKING CHANGE: removed endpoint' }
+      ]);
+      expect(result.bumpType).toBe('major');
+      expect(result.commits).toEqual([{ sha: 'b', header: 'fix: api', type: 'fix', breaking: true }]);
+    });
+
+    test('should return null when no commit asks for a release', () => {
+      const result = inferBumpType([{ sha: 'a', message: 'chore: deps' }]);
+      expect(result.bumpType).toBeNull();
+      expect(result.explanation).toBe('No feat, fix, perf or breaking commits among 1 commit(s)');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFlutterVersion } = require('./version');
+
+const DEFAULT_DART_CONSTANTS_PATH = 'lib/src/version.g.dart';
+
+/**
+ * Default template of the generated Dart file. Placeholders:
+ * {version}, {buildName}, {buildNumber}, {gitSha} and {releaseDate}.
+ */
+const DEFAULT_DART_CONSTANTS_TEMPLATE = `// GENERATED CODE - DO NOT MODIFY BY HAND
+// Rewritten on every version bump.
+
+/// Version from pubspec.yaml, e.g. 1.2.3+4
+const String appVersion = '{version}';
+
+/// Build number, the part after the +
+const int buildNumber = {buildNumber};
+
+/// Commit the version was bumped from
+const String gitSha = '{gitSha}';
+
+/// UTC date and time of the bump, in ISO 8601
+const String releaseDate = '{releaseDate}';
+`;
+
+/**
+ * Render the Dart constants file for a version
+ * @param {object} values - Values to write
+ * @param {string} values.version - New version
+ * @param {string} values.gitSha - Commit the bump is made from
+ * @param {Date} [values.date] - Bump date, defaults to now
+ * @param {string} [template] - File template, defaults to DEFAULT_DART_CONSTANTS_TEMPLATE
+ * @returns {string} - Dart source
+ */
+function renderDartConstants(values, template = DEFAULT_DART_CONSTANTS_TEMPLATE) {
+  const { version, gitSha, date = new Date() } = values;
+  const parsed = parseFlutterVersion(version);
+
+  const placeholders = {
+    version,
+    buildName: parsed.base,
+    buildNumber: String(parsed.build),
+    gitSha,
+    releaseDate: date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+  };
+
+  return (template || DEFAULT_DART_CONSTANTS_TEMPLATE).replace(/\{(\w+)\}/g, (placeholder, key) => (
+    Object.prototype.hasOwnProperty.call(placeholders, key) ? placeholders[key] : placeholder
+  ));
+}
+
+/**
+ * Write the Dart constants file, creating its directory when missing
+ * @param {string} filePath - Path of the generated file
+ * @param {object} values - Values to write, see renderDartConstants
+ * @param {string} [template] - File template
+ */
+function writeDartConstants(filePath, values, template) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, renderDartConstants(values, template), 'utf8');
+}
+
+module.exports = {
+  DEFAULT_DART_CONSTANTS_PATH,
+  DEFAULT_DART_CONSTANTS_TEMPLATE,
+  renderDartConstants,
+  writeDartConstants
+};
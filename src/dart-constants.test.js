@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderDartConstants, writeDartConstants } = require('./dart-constants');
+
+describe('Dart constants', () => {
+  const values = { version: '2.1.0-rc.1+57', gitSha: '1a2b3c4d5e6f', date: new Date('2026-03-04T10:15:09.120Z') };
+
+  test('should render the default file', () => {
+    const source = renderDartConstants(values);
+
+    expect(source).toMatch(/^\/\/ GENERATED CODE - DO NOT MODIFY BY HAND\n/);
+    expect(source).toContain("const String appVersion = '2.1.0-rc.1+57';");
+    expect(source).toContain('const int buildNumber = 57;');
+    expect(source).toContain("const String gitSha = '1a2b3c4d5e6f';");
+    expect(source).toContain("const String releaseDate = '2026-03-04T10:15:09Z';");
+  });
+
+  test('should fill a custom template and keep unknown placeholders', () => {
+    const template = "class AppInfo {\n  static const name = '{buildName}';\n  static const code = {buildNumber};\n  static const {other} = '';\n}\n";
+
+    expect(renderDartConstants(values, template))
+      .toBe("class AppInfo {\n  static const name = '2.1.0-rc.1';\n  static const code = 57;\n  static const {other} = '';\n}\n");
+  });
+
+  test('should write the file and its directory', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dart-constants-'));
+    const filePath = path.join(root, 'lib', 'src', 'version.g.dart');
+
+    writeDartConstants(filePath, values);
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(renderDartConstants(values));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Add git settings for every git process this run starts, through GIT_CONFIG_* variables, on top
+ * of any added before. Nothing is written to .git/config or ~/.gitconfig.
+ * @param {Array<string[]>} entries - [name, value] pairs in order; a name may repeat
+ * @returns {object} - The variables as they were, for restoreGitConfigEnv
+ */
+function addGitConfigEnv(entries) {
+  const start = parseInt(process.env.GIT_CONFIG_COUNT || '0', 10);
+  const saved = { GIT_CONFIG_COUNT: process.env.GIT_CONFIG_COUNT };
+  entries.forEach(([name, value], index) => {
+    for (const [variable, setting] of [[`GIT_CONFIG_KEY_${start + index}`, name], [`GIT_CONFIG_VALUE_${start + index}`, value]]) {
+      saved[variable] = process.env[variable];
+      process.env[variable] = setting;
+    }
+  });
+  process.env.GIT_CONFIG_COUNT = String(start + entries.length);
+  return saved;
+}
+
+/**
+ * Put GIT_CONFIG_* variables back as they were before addGitConfigEnv
+ * @param {object} saved - Variables returned by addGitConfigEnv
+ */
+function restoreGitConfigEnv(saved) {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+}
+
+module.exports = {
+  addGitConfigEnv,
+  restoreGitConfigEnv
+};
@@ -1,4 +1,24 @@
-const { parseFlutterVersion, compareVersions, generateNextVersion } = require('../src/index');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const core = require('@actions/core');
+const github = require('@actions/github');
+const exec = require('@actions/exec');
+const {
+  run,
+  parseFlutterVersion,
+  compareVersions,
+  generateNextVersion,
+  cascadeWorkspaceBumps,
+  findLatestVersionTag,
+  inferPackageBumpType,
+  writePackageChangelog,
+  commitAndPush,
+  findPreviousVersion,
+  collectUsedBuildNumbers,
+  toOutputKey
+} = require('../src/index');
 
 describe('Flutter Version Checker', () => {
   describe('parseFlutterVersion', () => {
@@ -10,7 +30,10 @@ describe('Flutter Version Checker', () => {
         patch: 47,
         build: 177,
         base: '50.8.47',
-        full: '50.8.47+177'
+        full: '50.8.47+177',
+        prerelease: [],
+        buildMetadata: '177',
+        buildNumeric: true
       });
     });
     
@@ -22,7 +45,10 @@ describe('Flutter Version Checker', () => {
         patch: 3,
         build: 0,
         base: '1.2.3',
-        full: '1.2.3'
+        full: '1.2.3',
+        prerelease: [],
+        buildMetadata: null,
+        buildNumeric: true
       });
     });
     
@@ -62,9 +88,1209 @@ describe('Flutter Version Checker', () => {
       expect(generateNextVersion('1.2.3')).toBe('1.2.4+1');
     });
     
-    test('should handle null/invalid input', () => {
-      expect(generateNextVersion(null)).toBe('1.0.0+1');
-      expect(generateNextVersion('')).toBe('1.0.0+1');
+    test('should reject missing and invalid input', () => {
+      expect(() => generateNextVersion(null)).toThrow('Invalid version null: expected MAJOR.MINOR.PATCH, e.g. "1.2.3+4"');
+      expect(() => generateNextVersion('')).toThrow('Invalid version "": expected MAJOR.MINOR.PATCH');
+      expect(() => generateNextVersion('abc')).toThrow('Invalid version "abc": expected MAJOR.MINOR.PATCH, got 1 part(s) in "abc"');
+    });
+    
+    test('should bump the requested part and always increment the build', () => {
+      expect(generateNextVersion('1.2.3+10', 'major')).toBe('2.0.0+11');
+      expect(generateNextVersion('1.2.3+10', 'minor')).toBe('1.3.0+11');
+      expect(generateNextVersion('1.2.3+10', 'patch')).toBe('1.2.4+11');
+      expect(generateNextVersion('1.2.3+10', 'build')).toBe('1.2.3+11');
+    });
+    
+    test('should keep the pre-release on build bumps only', () => {
+      expect(generateNextVersion('2.0.0-beta.3+41', 'build')).toBe('2.0.0-beta.3+42');
+      expect(generateNextVersion('2.0.0-rc.1', 'build')).toBe('2.0.0-rc.1+1');
+    });
+    
+    test('should release the base version of a pre-release like the scripts promote it', () => {
+      expect(generateNextVersion('1.2.0-rc.1+7', 'patch')).toBe('1.2.0+8');
+      expect(generateNextVersion('1.2.0-rc.1+7', 'minor')).toBe('1.2.0+8');
+      expect(generateNextVersion('1.2.1-rc.1+7', 'minor')).toBe('1.3.0+8');
+      expect(generateNextVersion('2.0.0-beta.3+41', 'major')).toBe('2.0.0+42');
+      expect(generateNextVersion('2.1.0-beta.3+41', 'major')).toBe('3.0.0+42');
+    });
+    
+    test('should take the build number from the strategy', () => {
+      expect(generateNextVersion('1.2.3+10', 'minor', { strategy: 'increment' })).toBe('1.3.0+1');
+      expect(generateNextVersion('1.2.3+10', 'patch', { strategy: 'derived', digits: '2,2,2' })).toBe('1.2.4+1020400');
+    });
+  });
+  
+  describe('cascadeWorkspaceBumps', () => {
+    let workspace;
+    let packages;
+    let results;
+    let originalCwd;
+    
+    const git = command => execSync(`git ${command}`, { cwd: workspace, stdio: 'pipe' });
+    
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'cascade-'));
+      const write = (name, content) => {
+        fs.mkdirSync(path.join(workspace, name));
+        fs.writeFileSync(path.join(workspace, name, 'pubspec.yaml'), content);
+        return path.join(workspace, name, 'pubspec.yaml');
+      };
+      packages = [
+        { name: 'core', path: write('core', 'name: core\nversion: 1.0.1+2\n'), dependencies: [] },
+        { name: 'ui', path: write('ui', 'name: ui\nversion: 2.0.0+4\ndependencies:\n  core: ^1.0.0\n'), dependencies: ['core'] },
+        { name: 'app', path: write('app', 'name: app\nversion: 3.0.0+9\ndependencies:\n  ui: ^2.0.0\n'), dependencies: ['ui'] }
+      ];
+      results = [
+        { name: 'core', path: packages[0].path, currentVersion: '1.0.1+2', versionUpdated: true, newVersion: '1.0.1+2' },
+        { name: 'ui', path: packages[1].path, currentVersion: '2.0.0+4', versionUpdated: false, newVersion: null },
+        { name: 'app', path: packages[2].path, currentVersion: '3.0.0+9', versionUpdated: false, newVersion: null }
+      ];
+      // Tags are looked up in the workspace, which has no origin to ask
+      git('init -q');
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      git('add -A');
+      git('commit -q -m initial');
+      process.chdir(workspace);
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      jest.spyOn(core, 'warning').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.chdir(originalCwd);
+      fs.rmSync(workspace, { recursive: true, force: true });
+    });
+    
+    test('should bump dependents transitively and rewrite their constraints', async () => {
+      const changed = await cascadeWorkspaceBumps(packages, results, 'minor');
+      
+      expect(results.map(result => result.newVersion)).toEqual(['1.0.1+2', '2.1.0+5', '3.1.0+10']);
+      expect(results[2].bumpedFrom).toBe('3.0.0+9');
+      expect(changed).toEqual([packages[1].path, packages[2].path]);
+      expect(fs.readFileSync(packages[1].path, 'utf8')).toBe('name: ui\nversion: 2.1.0+5\ndependencies:\n  core: ^1.0.1\n');
+      expect(fs.readFileSync(packages[2].path, 'utf8')).toBe('name: app\nversion: 3.1.0+10\ndependencies:\n  ui: ^2.1.0\n');
+    });
+    
+    test('should only rewrite constraints when cascading is disabled', async () => {
+      await cascadeWorkspaceBumps(packages, results, 'none');
+      
+      expect(results[1].versionUpdated).toBe(false);
+      expect(fs.readFileSync(packages[1].path, 'utf8')).toBe('name: ui\nversion: 2.0.0+4\ndependencies:\n  core: ^1.0.1\n');
+      expect(fs.readFileSync(packages[2].path, 'utf8')).toBe('name: app\nversion: 3.0.0+9\ndependencies:\n  ui: ^2.0.0\n');
+    });
+    
+    test('should do nothing when no package was bumped', async () => {
+      results[0].versionUpdated = false;
+      expect(await cascadeWorkspaceBumps(packages, results, 'patch')).toEqual([]);
+    });
+    
+    test('should keep cascaded build numbers unique', async () => {
+      const versionRefs = { tags: ['app-v2.5.0+12', 'core-v1.0.0+30'], branches: [] };
+      
+      await cascadeWorkspaceBumps(packages, results, 'minor', { uniqueBuildNumber: true, versionRefs });
+      
+      expect(results.map(result => result.newVersion)).toEqual(['1.0.1+2', '2.1.0+5', '3.1.0+13']);
+      expect(results[2].buildNumberOwner).toBe('app-v2.5.0+12');
+    });
+    
+    describe('when the next tag of a dependent already exists', () => {
+      beforeEach(() => {
+        git('tag ui-v2.1.0+5');
+      });
+      
+      test('should bump the dependent past it with bump-again', async () => {
+        await cascadeWorkspaceBumps(packages, results, 'minor', { onTagExists: 'bump-again' });
+        
+        expect(results[1].newVersion).toBe('2.2.0+6');
+        expect(fs.readFileSync(packages[1].path, 'utf8')).toBe('name: ui\nversion: 2.2.0+6\ndependencies:\n  core: ^1.0.1\n');
+        expect(fs.readFileSync(packages[2].path, 'utf8')).toBe('name: app\nversion: 3.1.0+10\ndependencies:\n  ui: ^2.2.0\n');
+      });
+      
+      test('should fail before writing any dependent otherwise', async () => {
+        await expect(cascadeWorkspaceBumps(packages, results, 'minor'))
+          .rejects.toThrow('Tag ui-v2.1.0+5 already exists locally; set on-tag-exists to skip, bump-again or move to continue');
+        
+        expect(git('status --porcelain').toString()).toBe('');
+      });
+    });
+  });
+
+  describe('toOutputKey', () => {
+    test('should make package names safe for output names', () => {
+      expect(toOutputKey('my_app')).toBe('my_app');
+      expect(toOutputKey('apps/mobile/pubspec.yaml')).toBe('apps-mobile-pubspec-yaml');
+    });
+  });
+
+  describe('inferPackageBumpType', () => {
+    let repo;
+    let originalCwd;
+    
+    const git = (command) => execSync(`git ${command}`, { cwd: repo, stdio: 'pipe' });
+    const commit = (file, message) => {
+      fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+      fs.appendFileSync(path.join(repo, file), `${message}\n`);
+      git(`add -A`);
+      git(`commit -q -m "${message}"`);
+    };
+    
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'infer-'));
+      git('init -q');
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      commit('pubspec.yaml', 'feat: initial');
+      git('tag v1.0.0+1');
+      git('tag v1.2.0+5');
+      git('tag v1.10.0+9');
+      git('tag vnot-a-version');
+      process.chdir(repo);
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.chdir(originalCwd);
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+    
+    test('should find the highest version tag', async () => {
+      expect(await findLatestVersionTag('v{version}')).toBe('v1.10.0+9');
+      expect(await findLatestVersionTag('app-v{version}')).toBeNull();
+    });
+    
+    test('should only consider tags that follow the format', async () => {
+      git('tag app@1.3.0');
+      git('tag app@1.4.0+7');
+      git('tag app@latest');
+      
+      expect(await findLatestVersionTag('app@{base}')).toBe('app@1.3.0');
+      expect(await findLatestVersionTag('v{base}+{build}')).toBe('v1.10.0+9');
+    });
+    
+    test('should infer the bump from commits since the last tag', async () => {
+      commit('lib/a.dart', 'fix: one');
+      commit('lib/b.dart', 'feat: two');
+      
+      const result = await inferPackageBumpType('pubspec.yaml', 'v{version}');
+      expect(result.tag).toBe('v1.10.0+9');
+      expect(result.bumpType).toBe('minor');
+      expect(result.commits.map(c => c.header)).toEqual(['feat: two']);
+    });
+    
+    test('should only count commits touching the package directory', async () => {
+      commit('packages/core/lib/a.dart', 'feat!: core rewrite');
+      commit('packages/ui/lib/b.dart', 'fix: ui');
+      
+      const result = await inferPackageBumpType(path.join('packages', 'ui', 'pubspec.yaml'), 'ui-v{version}');
+      expect(result.tag).toBeNull();
+      expect(result.bumpType).toBe('patch');
+    });
+    
+    test('should write a changelog section next to the package', async () => {
+      commit('lib/a.dart', 'fix: one');
+      
+      const result = { name: 'app', path: 'pubspec.yaml', newVersion: '1.10.1+10' };
+      const file = await writePackageChangelog(result, {
+        changelogPath: 'CHANGELOG.md',
+        changelogTemplate: '## {version} (from {previousVersion})\n\n{commits}',
+        tagFormat: 'v{version}'
+      });
+      
+      expect(file).toBe('CHANGELOG.md');
+      expect(fs.readFileSync(path.join(repo, file), 'utf8')).toMatch(/^# Changelog\n\n## 1\.10\.1\+10 \(from 1\.10\.0\+9\)\n\n- one \([0-9a-f]{7}\)\n\n$/);
+    });
+  });
+
+  describe('findPreviousVersion', () => {
+    let root;
+    let originalCwd;
+    
+    const git = (command, cwd) => execSync(`git ${command}`, { cwd, stdio: 'pipe' }).toString().trim();
+    
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+      const seed = path.join(root, 'seed');
+      fs.mkdirSync(seed);
+      git('init -q -b main', seed);
+      git('config user.email test@example.com', seed);
+      git('config user.name Test', seed);
+      
+      const writeVersion = (version) => {
+        // Multi-byte characters make sure blobs are split by byte size
+        fs.writeFileSync(path.join(seed, 'pubspec.yaml'), `name: app\ndescription: Café ✓\nversion: ${version}\n`);
+        git(`commit -q -am "version ${version}"`, seed);
+      };
+      const emptyCommits = (count) => execSync(
+        `for i in $(seq ${count}); do git commit -q --allow-empty -m "change $i"; done`,
+        { cwd: seed, stdio: 'pipe', shell: '/bin/bash' }
+      );
+      
+      fs.writeFileSync(path.join(seed, 'pubspec.yaml'), 'name: app\nversion: 0.9.0+1\n');
+      git('add -A', seed);
+      git('commit -q -m init', seed);
+      emptyCommits(100);
+      writeVersion('1.0.0+2');
+      emptyCommits(120);
+      writeVersion('1.1.0+3');
+      
+      git(`clone -q --bare ${seed} ${path.join(root, 'remote.git')}`, root);
+      git(`clone -q --depth 1 file://${path.join(root, 'remote.git')} work`, root);
+      process.chdir(path.join(root, 'work'));
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.chdir(originalCwd);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    test('should deepen a shallow clone only as far as the previous version', async () => {
+      expect(await findPreviousVersion('main', '1.1.0+3')).toBe('1.0.0+2');
+      expect(git('rev-parse --is-shallow-repository', process.cwd())).toBe('true');
+    });
+    
+    test('should look past commits that share the current version', async () => {
+      const seed = path.join(root, 'seed');
+      git('commit -q --allow-empty -m "feature"', seed);
+      git(`push -q ${path.join(root, 'remote.git')} main`, seed);
+      
+      expect(await findPreviousVersion('main', '1.1.0+3')).toBe('1.0.0+2');
+    });
+    
+    test('should stop at the depth limit', async () => {
+      expect(await findPreviousVersion('main', '1.1.0+3', 'pubspec.yaml', { depth: 1 })).toBeNull();
+    });
+  });
+  
+  describe('collectUsedBuildNumbers', () => {
+    let root;
+    let originalCwd;
+    
+    const git = (command, cwd) => execSync(`git ${command}`, { cwd, stdio: 'pipe' }).toString().trim();
+    
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'used-builds-'));
+      const seed = path.join(root, 'seed');
+      fs.mkdirSync(seed);
+      git('init -q -b main', seed);
+      git('config user.email test@example.com', seed);
+      git('config user.name Test', seed);
+      fs.writeFileSync(path.join(seed, 'pubspec.yaml'), 'name: app\nversion: 1.0.0+2\n');
+      git('add -A', seed);
+      git('commit -q -m init', seed);
+      git('tag v1.0.0+2', seed);
+      execSync('for i in $(seq 30); do git commit -q --allow-empty -m "change $i"; done', { cwd: seed, stdio: 'pipe', shell: '/bin/bash' });
+      git('checkout -q -b hotfix main~20', seed);
+      fs.writeFileSync(path.join(seed, 'pubspec.yaml'), 'name: app\nversion: 1.0.1+7\n');
+      git('commit -q -am hotfix', seed);
+      git('checkout -q main', seed);
+      
+      git(`clone -q --bare ${seed} ${path.join(root, 'remote.git')}`, root);
+      git(`clone -q --depth 1 file://${path.join(root, 'remote.git')} work`, root);
+      process.chdir(path.join(root, 'work'));
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.chdir(originalCwd);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    test('should read tags and branch tips without fetching their history', async () => {
+      const used = await collectUsedBuildNumbers('pubspec.yaml', 'v{version}');
+      
+      expect(used).toEqual(expect.arrayContaining([
+        { ref: 'v1.0.0+2', version: '1.0.0+2', build: 2 },
+        { ref: 'origin/hotfix', version: '1.0.1+7', build: 7 }
+      ]));
+      expect(git('rev-list --count --all', process.cwd())).toBe('2');
+      expect(git('rev-parse --is-shallow-repository', process.cwd())).toBe('true');
+    });
+  });
+  
+  describe('commitAndPush', () => {
+    let root;
+    let remote;
+    let repo;
+    let originalCwd;
+    let octokit;
+    
+    const git = (command, cwd = repo) => execSync(`git ${command}`, { cwd, stdio: 'pipe' }).toString().trim();
+    const pullRequest = () => ({ octokit, repo: { owner: 'owner', repo: 'repo' }, branch: 'version-bump/1.0.1+2' });
+    
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'push-'));
+      remote = path.join(root, 'remote.git');
+      repo = path.join(root, 'work');
+      git(`init -q --bare ${remote}`, root);
+      git(`clone -q ${remote} ${repo}`, root);
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      git('checkout -q -b main');
+      fs.writeFileSync(path.join(repo, 'pubspec.yaml'), 'name: app\nversion: 1.0.0+1\n');
+      git('add -A');
+      git('commit -q -m initial');
+      git('push -q origin main');
+      fs.writeFileSync(path.join(repo, 'pubspec.yaml'), 'name: app\nversion: 1.0.1+2\n');
+      
+      octokit = {
+        rest: {
+          pulls: {
+            list: jest.fn().mockResolvedValue({ data: [] }),
+            create: jest.fn().mockResolvedValue({ data: { number: 3, html_url: 'https://github.com/owner/repo/pull/3' } })
+          }
+        }
+      };
+      process.chdir(repo);
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.chdir(originalCwd);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    const protectMain = () => {
+      const hook = path.join(remote, 'hooks', 'pre-receive');
+      fs.writeFileSync(hook, '#!/bin/sh\nwhile read old new ref; do\n  [ "$ref" = "refs/heads/main" ] && echo "protected branch" && exit 1\ndone\nexit 0\n');
+      fs.chmodSync(hook, 0o755);
+    };
+    
+    test('should push the commit and tag directly', async () => {
+      const result = await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '');
+      
+      expect(result).toMatchObject({ strategy: 'direct', pullRequest: null, bump: { newVersion: '1.0.1+2', tags: ['v1.0.1+2'] } });
+      expect(git('log -1 --format=%s main', remote)).toBe('Auto-increment version to 1.0.1+2');
+      expect(git('tag --list', remote)).toBe('v1.0.1+2');
+    });
+    
+    test('should open a pull request without pushing to the branch or tagging', async () => {
+      const result = await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', {
+        pushStrategy: 'pull-request',
+        pullRequest: pullRequest()
+      });
+      
+      expect(result.strategy).toBe('pull-request');
+      expect(result.pullRequest).toEqual({ number: 3, url: 'https://github.com/owner/repo/pull/3', created: true });
+      expect(git('log -1 --format=%s main', remote)).toBe('initial');
+      expect(git('log -1 --format=%s version-bump/1.0.1+2', remote)).toBe('Auto-increment version to 1.0.1+2');
+      expect(git('tag --list', remote)).toBe('');
+      expect(octokit.rest.pulls.create).toHaveBeenCalledWith(expect.objectContaining({
+        head: 'version-bump/1.0.1+2',
+        base: 'main',
+        title: 'Auto-increment version to 1.0.1+2'
+      }));
+    });
+    
+    test('should fall back to a pull request when the branch rejects the push', async () => {
+      protectMain();
+      const result = await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', {
+        pushStrategy: 'auto-fallback',
+        pullRequest: pullRequest()
+      });
+      
+      expect(result.strategy).toBe('pull-request');
+      expect(git('log -1 --format=%s main', remote)).toBe('initial');
+      expect(git('tag --list', remote)).toBe('');
+      expect(git('tag --list')).toBe('');
+    });
+    
+    test('should fail on a rejected direct push', async () => {
+      protectMain();
+      await expect(commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '')).rejects.toThrow('protected branch');
+      expect(octokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('should authenticate without writing the token into the remote URL', async () => {
+      // origin looks like a GitHub Enterprise Server remote but resolves to the local bare repository
+      git('remote set-url origin https://git.example.com/owner/repo.git');
+      git(`config url.${remote}.insteadOf https://git.example.com/owner/repo.git`);
+      process.env.GITHUB_SERVER_URL = 'https://git.example.com';
+      const countBefore = process.env.GIT_CONFIG_COUNT;
+      jest.spyOn(core, 'setSecret').mockImplementation(() => {});
+
+      try {
+        await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', 'secret-token');
+      } finally {
+        delete process.env.GITHUB_SERVER_URL;
+      }
+
+      const credentials = Buffer.from('x-access-token:secret-token').toString('base64');
+      expect(core.setSecret).toHaveBeenCalledWith(credentials);
+      expect(git('tag --list', remote)).toBe('v1.0.1+2');
+      expect(git('config --get remote.origin.url')).toBe('https://git.example.com/owner/repo.git');
+      expect(fs.readFileSync(path.join(repo, '.git', 'config'), 'utf8')).not.toMatch(/secret-token|extraheader/);
+      expect(process.env.GIT_CONFIG_COUNT).toBe(countBefore);
+    });
+
+    describe('when the tag already exists', () => {
+      beforeEach(() => {
+        git('tag v1.0.1+2 main', remote);
+        jest.spyOn(core, 'warning').mockImplementation(() => {});
+      });
+      
+      test('should fail before committing', async () => {
+        await expect(commitAndPush('main', '1.0.1+2', '1.0.0+1', '', ''))
+          .rejects.toThrow('Tag v1.0.1+2 already exists on origin; set on-tag-exists to skip, bump-again or move to continue');
+        expect(git('log -1 --format=%s')).toBe('initial');
+        expect(git('log -1 --format=%s main', remote)).toBe('initial');
+      });
+      
+      test('should push the bump without the tag on skip', async () => {
+        const result = await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', { onTagExists: 'skip' });
+        
+        expect(result.bump.tags).toEqual([]);
+        expect(git('log -1 --format=%s main', remote)).toBe('Auto-increment version to 1.0.1+2');
+        expect(git('rev-parse v1.0.1+2^{commit}', remote)).toBe(git('rev-parse main~1', remote));
+        expect(core.warning).toHaveBeenCalledWith('⚠️ Tag v1.0.1+2 already exists on origin, leaving it where it is');
+      });
+      
+      test('should move the tag to the bump on move', async () => {
+        git('fetch -q origin tag v1.0.1+2');
+        
+        await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', { onTagExists: 'move' });
+        
+        expect(git('rev-parse v1.0.1+2^{commit}', remote)).toBe(git('rev-parse main', remote));
+        expect(git('rev-parse v1.0.1+2^{commit}')).toBe(git('rev-parse HEAD'));
+        expect(core.warning).toHaveBeenCalledWith('⚠️ Tag v1.0.1+2 already exists locally and on origin, moving it to the version bump');
+      });
+      
+      test('should put a moved tag back when the push fails', async () => {
+        git('fetch -q origin tag v1.0.1+2');
+        const before = git('rev-parse v1.0.1+2');
+        protectMain();
+        
+        await expect(commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', { onTagExists: 'move' })).rejects.toThrow('protected branch');
+        expect(git('rev-parse v1.0.1+2')).toBe(before);
+      });
+    });
+    
+    describe('when another run pushed first', () => {
+      // Push from a second clone, like a concurrent workflow run would
+      const pushConcurrently = (version, message) => {
+        const other = path.join(root, 'other');
+        git(`clone -q -b main ${remote} ${other}`, root);
+        git('config user.email other@example.com', other);
+        git('config user.name Other', other);
+        if (version) {
+          fs.writeFileSync(path.join(other, 'pubspec.yaml'), `name: app\nversion: ${version}\n`);
+        } else {
+          fs.writeFileSync(path.join(other, 'README.md'), `${message}\n`);
+        }
+        git('add -A', other);
+        git(`commit -q -m "${message}"`, other);
+        git('push -q origin main', other);
+        fs.rmSync(other, { recursive: true, force: true });
+      };
+      
+      test('should rebase the bump and push it with its tag', async () => {
+        pushConcurrently(null, 'docs: readme');
+        
+        const result = await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', { retries: 2, retryDelay: 0 });
+        
+        expect(result.strategy).toBe('direct');
+        expect(git('log --format=%s main', remote).split('\n')).toEqual(['Auto-increment version to 1.0.1+2', 'docs: readme', 'initial']);
+        expect(git('rev-parse v1.0.1+2^{commit}', remote)).toBe(git('rev-parse main', remote));
+      });
+      
+      test('should compute the bump again when the branch changed the version', async () => {
+        pushConcurrently('1.0.1+2', 'Auto-increment version to 1.0.1+2');
+        const recompute = jest.fn(async () => {
+          expect(fs.readFileSync('pubspec.yaml', 'utf8')).toBe('name: app\nversion: 1.0.1+2\n');
+          fs.writeFileSync('pubspec.yaml', 'name: app\nversion: 1.0.2+3\n');
+          return { newVersion: '1.0.2+3', previousVersion: '1.0.1+2', files: ['pubspec.yaml'], tags: ['v1.0.2+3'], commitMessage: '' };
+        });
+        
+        const result = await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', { retries: 1, retryDelay: 0, recompute });
+        
+        expect(recompute).toHaveBeenCalledTimes(1);
+        expect(result.bump.newVersion).toBe('1.0.2+3');
+        expect(git('log -1 --format=%s main', remote)).toBe('Auto-increment version to 1.0.2+3');
+        expect(git('tag --list', remote)).toBe('v1.0.2+3');
+        expect(git('tag --list')).toBe('v1.0.2+3');
+      });
+      
+      test('should stop when the branch already has the bump', async () => {
+        pushConcurrently('1.0.1+2', 'Auto-increment version to 1.0.1+2');
+        
+        const result = await commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', { retries: 1, retryDelay: 0, recompute: async () => null });
+        
+        expect(result).toEqual({ strategy: 'none', pullRequest: null, bump: null });
+        expect(git('tag --list', remote)).toBe('');
+      });
+      
+      test('should refuse to guess a version without recompute', async () => {
+        pushConcurrently('1.0.1+2', 'Auto-increment version to 1.0.1+2');
+        
+        await expect(commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '', { retries: 1, retryDelay: 0 }))
+          .rejects.toThrow('main changed while the version bump was pushed');
+        expect(git('tag --list', remote)).toBe('');
+      });
+      
+      test('should give up after the configured retries', async () => {
+        pushConcurrently(null, 'docs: readme');
+        
+        await expect(commitAndPush('main', '1.0.1+2', '1.0.0+1', '', '')).rejects.toThrow('(fetch first)');
+        expect(git('log -1 --format=%s main', remote)).toBe('docs: readme');
+        expect(git('tag --list')).toBe('');
+      });
+    });
+  });
+
+  describe('run', () => {
+    let root;
+    let repo;
+    let originalCwd;
+    let inputs;
+    
+    const git = (command, cwd = repo) => execSync(`git ${command}`, { cwd, stdio: 'pipe' }).toString().trim();
+    const commitVersion = (version, message) => {
+      fs.writeFileSync(path.join(repo, 'pubspec.yaml'), `name: app\n# keep me\nversion: ${version}\n`);
+      fs.appendFileSync(path.join(repo, 'notes.txt'), `${message}\n`);
+      git('add -A');
+      git(`commit -q -m "${message}"`);
+    };
+    
+    // Fix mode pushes to the local remote; GitHub only answers that no release exists
+    const runWithPush = async () => {
+      inputs.token = 'token';
+      process.env.GITHUB_REPOSITORY = 'owner/repo';
+      const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+      jest.spyOn(github, 'getOctokit').mockReturnValue({
+        rest: { repos: { getReleaseByTag: jest.fn().mockRejectedValue(notFound) } }
+      });
+      try {
+        await run();
+      } finally {
+        delete process.env.GITHUB_REPOSITORY;
+      }
+    };
+    
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'run-'));
+      repo = path.join(root, 'work');
+      git(`init -q --bare ${path.join(root, 'remote.git')}`, root);
+      git(`clone -q ${path.join(root, 'remote.git')} ${repo}`, root);
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      git('checkout -q -b main');
+      commitVersion('1.0.0+1', 'first release');
+      commitVersion('1.0.1+2', 'second release');
+      git('tag v1.0.1+2');
+      commitVersion('1.0.1+2', 'another change');
+      git('push -q origin main v1.0.1+2');
+      
+      inputs = { branch: 'main', token: '' };
+      jest.spyOn(core, 'getInput').mockImplementation(name => inputs[name] || '');
+      jest.spyOn(core, 'setOutput').mockImplementation(() => {});
+      jest.spyOn(core, 'setFailed').mockImplementation(() => {});
+      jest.spyOn(core, 'error').mockImplementation(() => {});
+      jest.spyOn(core, 'warning').mockImplementation(() => {});
+      jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      process.chdir(repo);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      process.chdir(originalCwd);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+    
+    test('should fail in check mode without touching the working tree', async () => {
+      inputs.mode = 'check';
+      const before = git('rev-parse HEAD');
+      
+      await run();
+      
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Suggested next version: 1.0.2+3'));
+      expect(core.error).toHaveBeenCalledWith(
+        expect.stringContaining('Version 1.0.1+2 was already released: tag v1.0.1+2'),
+        expect.objectContaining({ file: 'pubspec.yaml', startLine: 3 })
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('suggested-version', '1.0.2+3');
+      expect(core.setOutput).toHaveBeenCalledWith('version-updated', 'false');
+      expect(git('status --porcelain')).toBe('');
+      expect(git('rev-parse HEAD')).toBe(before);
+      expect(git('config --get remote.origin.url')).toBe(path.join(root, 'remote.git'));
+    });
+    
+    test('should only annotate in warn mode', async () => {
+      inputs.mode = 'warn';
+      
+      await run();
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Suggested next version: 1.0.2+3'),
+        expect.objectContaining({ file: 'pubspec.yaml' })
+      );
+      expect(git('status --porcelain')).toBe('');
+    });
+    
+    test('should require a token in fix mode', async () => {
+      await run();
+      expect(core.setFailed).toHaveBeenCalledWith('GitHub token is required. Please provide the token input.');
+    });
+    
+    describe('in pr-mode', () => {
+      let originalPayload;
+      let octokit;
+      
+      beforeEach(() => {
+        originalPayload = github.context.payload;
+        github.context.payload = {
+          pull_request: { number: 12, base: { ref: 'main', sha: 'abc' }, head: { ref: 'feature' } }
+        };
+        process.env.GITHUB_REPOSITORY = 'owner/repo';
+        octokit = {
+          paginate: jest.fn().mockResolvedValue([]),
+          rest: { issues: { listComments: jest.fn(), createComment: jest.fn().mockResolvedValue({ data: { id: 1, html_url: 'u' } }) } }
+        };
+        jest.spyOn(github, 'getOctokit').mockReturnValue(octokit);
+        git('checkout -q -b feature');
+        inputs['pr-mode'] = 'true';
+        inputs.token = 'token';
+      });
+      
+      afterEach(() => {
+        github.context.payload = originalPayload;
+        delete process.env.GITHUB_REPOSITORY;
+      });
+      
+      test('should compare with the base branch and post a comment', async () => {
+        inputs.mode = 'check';
+        process.env.GITHUB_STEP_SUMMARY = path.join(root, 'summary.md');
+        jest.spyOn(core.summary, 'addRaw').mockReturnThis();
+        jest.spyOn(core.summary, 'write').mockResolvedValue(core.summary);
+        
+        try {
+          await run();
+        } finally {
+          delete process.env.GITHUB_STEP_SUMMARY;
+        }
+        
+        expect(core.setOutput).toHaveBeenCalledWith('previous-version', '1.0.1+2');
+        expect(core.setOutput).toHaveBeenCalledWith('bump-required', 'true');
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Version 1.0.1+2 is the same as on main'));
+        const [{ issue_number: issueNumber, body }] = octokit.rest.issues.createComment.mock.calls[0];
+        expect(issueNumber).toBe(12);
+        expect(body).toContain('| Bump required | **Yes** |');
+        expect(body).toContain('| patch | `1.0.2+3` |');
+        const [[summary]] = core.summary.addRaw.mock.calls;
+        expect(summary).toContain('| Previous (`main`) | `1.0.1+2` |');
+        expect(summary).toContain('**Decision:** Needs a bump to `1.0.2+3`. Version 1.0.1+2 is the same as on main.');
+        expect(git('status --porcelain')).toBe('');
+      });
+      
+      test('should pass when the pull request bumps the version', async () => {
+        commitVersion('1.1.0+3', 'feat: bump');
+        
+        await run();
+        
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(core.setOutput).toHaveBeenCalledWith('bump-required', 'false');
+        expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('✅ Versions are ahead of `main`.');
+        expect(git('log -1 --format=%s')).toBe('feat: bump');
+      });
+      
+      test('should fail per package on an invalid version in the pull request', async () => {
+        commitVersion('1.2', 'feat: half a version');
+        
+        await run();
+        
+        expect(core.setFailed).toHaveBeenCalledWith('❌ pubspec.yaml: invalid version "1.2" in this pull request, expected MAJOR.MINOR.PATCH, e.g. "1.2.3+4"');
+        expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+      });
+      
+      test('should fail per package on an invalid version on the base branch', async () => {
+        git('checkout -q main');
+        commitVersion('banana', 'chore: broken version');
+        git('push -q origin main');
+        git('checkout -q feature');
+        
+        await run();
+        
+        expect(core.setFailed).toHaveBeenCalledWith('❌ pubspec.yaml: invalid version "banana" on main, expected MAJOR.MINOR.PATCH, e.g. "1.2.3+4"');
+        expect(core.setFailed).not.toHaveBeenCalledWith(expect.stringContaining('Action failed'));
+      });
+    });
+    
+    test('should reject an unknown mode', async () => {
+      inputs.mode = 'fail';
+      await run();
+      expect(core.setFailed).toHaveBeenCalledWith('❌ Invalid mode "fail". Expected one of: fix, check, warn');
+    });
+    
+    test('should fail early when the build number strategy cannot run', async () => {
+      inputs.mode = 'check';
+      inputs['build-number-strategy'] = 'ci-run-number';
+      const originalRunNumber = process.env.GITHUB_RUN_NUMBER;
+      delete process.env.GITHUB_RUN_NUMBER;
+      
+      await run();
+      
+      if (originalRunNumber !== undefined) process.env.GITHUB_RUN_NUMBER = originalRunNumber;
+      expect(core.setFailed).toHaveBeenCalledWith('❌ The ci-run-number build number strategy needs GITHUB_RUN_NUMBER to be set');
+      expect(core.error).not.toHaveBeenCalled();
+    });
+    
+    test('should suggest versions with the commit count as build number', async () => {
+      inputs.mode = 'check';
+      inputs['build-number-strategy'] = 'git-commit-count';
+      commitVersion('1.0.1+2', 'docs change');
+      commitVersion('1.0.1+2', 'ci change');
+      
+      await run();
+      
+      expect(core.setOutput).toHaveBeenCalledWith('suggested-version', '1.0.2+5');
+    });
+    
+    test('should keep the next build number above other branches and tags', async () => {
+      inputs.mode = 'check';
+      git('checkout -q -b hotfix');
+      commitVersion('1.0.2+3', 'hotfix');
+      git('push -q origin hotfix');
+      git('checkout -q main');
+      git('tag v0.9.0+9 HEAD~2');
+      git('push -q origin v0.9.0+9');
+      git('tag -d v0.9.0+9');
+      
+      await run();
+      
+      expect(core.setOutput).toHaveBeenCalledWith('suggested-version', '1.0.2+10');
+      expect(core.setOutput).toHaveBeenCalledWith('build-number-owner', 'origin/hotfix');
+    });
+    
+    test('should report the ref owning the current build number', async () => {
+      inputs.mode = 'check';
+      git('checkout -q -b hotfix');
+      commitVersion('1.0.2+3', 'hotfix');
+      git('push -q origin hotfix');
+      git('checkout -q main');
+      fs.writeFileSync(path.join(repo, 'pubspec.yaml'), 'name: app\nversion: 1.1.0+3\n');
+      
+      await run();
+      
+      expect(core.error).toHaveBeenCalledWith(
+        'Build number 3 of 1.1.0+3 is already used by origin/hotfix (1.0.2+3) (compared with main). Suggested next version: 1.1.1+4',
+        expect.objectContaining({ file: 'pubspec.yaml' })
+      );
+    });
+    
+    test('should allow turning the uniqueness check off', async () => {
+      inputs.mode = 'check';
+      inputs['unique-build-number'] = 'false';
+      git('checkout -q -b hotfix');
+      commitVersion('1.0.2+3', 'hotfix');
+      git('push -q origin hotfix');
+      git('checkout -q main');
+      
+      await run();
+      
+      expect(core.setOutput).toHaveBeenCalledWith('suggested-version', '1.0.2+3');
+    });
+    
+    describe('release evidence', () => {
+      const untag = () => {
+        git('push -q origin :refs/tags/v1.0.1+2');
+        git('tag -d v1.0.1+2');
+      };
+      
+      beforeEach(() => {
+        inputs.mode = 'check';
+      });
+      
+      test('should not bump an unreleased version shared by several commits', async () => {
+        untag();
+        
+        await run();
+        
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(core.setOutput).not.toHaveBeenCalledWith('suggested-version', expect.anything());
+        expect(core.setOutput).toHaveBeenCalledWith('previous-version', '1.0.0+1');
+      });
+      
+      test('should not bump when HEAD is the tagged release', async () => {
+        git('tag -f v1.0.1+2 HEAD');
+        git('push -q -f origin v1.0.1+2');
+        
+        await run();
+        
+        expect(core.setFailed).not.toHaveBeenCalled();
+      });
+      
+      test('should find an annotated tag on origin without fetching tags', async () => {
+        const released = git('rev-parse HEAD~1');
+        git('tag -d v1.0.1+2');
+        git('push -q origin :refs/tags/v1.0.1+2');
+        git('tag -a v1.0.1+2 -m "Release v1.0.1+2" HEAD~1');
+        git('push -q origin v1.0.1+2');
+        git('tag -d v1.0.1+2');
+        
+        await run();
+        
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(`tag v1.0.1+2 (commit ${released.substring(0, 8)})`));
+        expect(git('tag --list')).toBe('');
+      });
+      
+      test('should count marker commits that carry the version', async () => {
+        untag();
+        inputs['release-marker'] = '^chore\\(release\\)';
+        commitVersion('1.0.1+2', 'chore(release): 1.0.1+2');
+        commitVersion('1.0.1+2', 'fix: crash');
+        git('push -q origin main');
+        const marker = git('rev-parse HEAD~1');
+        
+        await run();
+        
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(
+          `Version 1.0.1+2 was already released: marker commit ${marker.substring(0, 8)} "chore(release): 1.0.1+2"`
+        ));
+        expect(core.setOutput).toHaveBeenCalledWith('release-evidence', JSON.stringify([
+          { type: 'marker', ref: marker, description: `marker commit ${marker.substring(0, 8)} "chore(release): 1.0.1+2"` }
+        ]));
+      });
+      
+      test('should count GitHub Releases when a token is given', async () => {
+        untag();
+        inputs.token = 'token';
+        process.env.GITHUB_REPOSITORY = 'owner/repo';
+        const url = 'https://github.com/owner/repo/releases/tag/v1.0.1%2B2';
+        const octokit = {
+          rest: { repos: { getReleaseByTag: jest.fn().mockResolvedValue({ data: { name: 'Spring', html_url: url } }) } }
+        };
+        jest.spyOn(github, 'getOctokit').mockReturnValue(octokit);
+        
+        await run();
+        
+        delete process.env.GITHUB_REPOSITORY;
+        expect(octokit.rest.repos.getReleaseByTag).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', tag: 'v1.0.1+2' });
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining(`already released: GitHub Release "Spring" (${url})`));
+      });
+      
+      test('should ignore missing GitHub Releases', async () => {
+        untag();
+        inputs.token = 'token';
+        process.env.GITHUB_REPOSITORY = 'owner/repo';
+        const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+        jest.spyOn(github, 'getOctokit').mockReturnValue({
+          rest: { repos: { getReleaseByTag: jest.fn().mockRejectedValue(notFound) } }
+        });
+        
+        await run();
+        
+        delete process.env.GITHUB_REPOSITORY;
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(core.warning).not.toHaveBeenCalled();
+      });
+    });
+    
+    describe('native version files', () => {
+      beforeEach(() => {
+        fs.mkdirSync(path.join(repo, 'android', 'app'), { recursive: true });
+        fs.writeFileSync(path.join(repo, 'android', 'app', 'build.gradle'), 'versionCode 2\nversionName "1.0.1"\n');
+        git('add -A');
+        git('commit -q -m "android"');
+        git('push -q origin main');
+      });
+      
+      test('should fail on drift in check mode', async () => {
+        inputs.mode = 'warn';
+        inputs['native-version'] = 'check';
+        fs.writeFileSync(path.join(repo, 'android', 'app', 'build.gradle'), 'versionCode 1\nversionName "1.0.1"\n');
+        
+        await run();
+        
+        expect(core.setFailed).toHaveBeenCalledWith('❌ Native version drift:\nandroid/app/build.gradle: versionCode is 1, pubspec.yaml has 2');
+      });
+      
+      test('should commit the synced files with the bump', async () => {
+        inputs['native-version'] = 'sync';
+        
+        await runWithPush();
+        
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(git('show --name-only --format= HEAD').split('\n').sort()).toEqual(['android/app/build.gradle', 'pubspec.yaml']);
+        expect(git('show origin/main:android/app/build.gradle')).toBe('versionCode 3\nversionName "1.0.2"');
+      });
+    });
+    
+    test('should commit the generated Dart constants with the bump', async () => {
+      inputs['dart-constants'] = 'true';
+      const sha = git('rev-parse HEAD');
+      
+      await runWithPush();
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      const source = git('show origin/main:lib/src/version.g.dart');
+      expect(source).toContain("const String appVersion = '1.0.2+3';");
+      expect(source).toContain('const int buildNumber = 3;');
+      expect(source).toContain(`const String gitSha = '${sha}';`);
+      expect(git('show --name-only --format= HEAD').split('\n').sort()).toEqual(['lib/src/version.g.dart', 'pubspec.yaml']);
+    });
+    
+    test('should bump again on top of a concurrent bump', async () => {
+      inputs['push-retry-delay'] = '0';
+      const execGit = exec.exec;
+      let raced = false;
+      jest.spyOn(exec, 'exec').mockImplementation((command, args, options) => {
+        if (args[0] === 'push' && !raced) {
+          // Another run releases 1.0.2+3 and a feature lands on top, just before this run pushes
+          raced = true;
+          const other = path.join(root, 'other');
+          git(`clone -q -b main ${path.join(root, 'remote.git')} ${other}`, root);
+          git('config user.email other@example.com', other);
+          git('config user.name Other', other);
+          fs.writeFileSync(path.join(other, 'pubspec.yaml'), 'name: app\n# keep me\nversion: 1.0.2+3\n');
+          git('commit -q -am "Auto-increment version to 1.0.2+3"', other);
+          git('tag v1.0.2+3', other);
+          git('commit -q --allow-empty -m "feat: more"', other);
+          git('push -q origin main v1.0.2+3', other);
+        }
+        return execGit(command, args, options);
+      });
+      
+      await runWithPush();
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('new-version', '1.0.3+4');
+      expect(git('log -3 --format=%s main', path.join(root, 'remote.git')).split('\n'))
+        .toEqual(['Auto-increment version to 1.0.3+4', 'feat: more', 'Auto-increment version to 1.0.2+3']);
+      expect(git('tag --list --sort=version:refname', path.join(root, 'remote.git')).split('\n'))
+        .toEqual(['v1.0.1+2', 'v1.0.2+3', 'v1.0.3+4']);
+    });
+    
+    test('should skip when the head commit asks for it', async () => {
+      commitVersion('1.0.1+2', 'docs: typo [skip version]');
+      git('push -q origin main');
+      process.env.GITHUB_STEP_SUMMARY = path.join(root, 'summary.md');
+      jest.spyOn(core.summary, 'addRaw').mockReturnThis();
+      jest.spyOn(core.summary, 'write').mockResolvedValue(core.summary);
+      
+      try {
+        await runWithPush();
+      } finally {
+        delete process.env.GITHUB_STEP_SUMMARY;
+      }
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('skipped', 'true');
+      expect(core.setOutput).not.toHaveBeenCalledWith('new-version', expect.anything());
+      expect(core.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('⏭️ Skipped: the head commit contains [skip version].'));
+      expect(git('log -1 --format=%s main', path.join(root, 'remote.git'))).toBe('docs: typo [skip version]');
+    });
+    
+    test('should mark the bump commit and skip it on the next run', async () => {
+      inputs['commit-skip-marker'] = '[skip ci]';
+      
+      await runWithPush();
+      
+      expect(core.setOutput).toHaveBeenCalledWith('skipped', 'false');
+      expect(git('log -1 --format=%s main', path.join(root, 'remote.git'))).toBe('Auto-increment version to 1.0.2+3 [skip ci]');
+      expect(git('log -1 "--format=%(trailers:key=Version-Bumped-By,valueonly)" main', path.join(root, 'remote.git')))
+        .toBe('flutter-version-checker');
+      
+      core.setOutput.mockClear();
+      await runWithPush();
+      
+      expect(core.setOutput).toHaveBeenCalledWith('skipped', 'true');
+      expect(git('log -1 --format=%s main', path.join(root, 'remote.git'))).toBe('Auto-increment version to 1.0.2+3 [skip ci]');
+    });
+    
+    test('should commit and tag as the configured committer', async () => {
+      inputs['committer-name'] = 'Release Bot';
+      inputs['committer-email'] = 'release-bot@example.com';
+      
+      await runWithPush();
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(git('log -1 --format=%an%n%ae%n%cn%n%ce main', path.join(root, 'remote.git')).split('\n'))
+        .toEqual(['Release Bot', 'release-bot@example.com', 'Release Bot', 'release-bot@example.com']);
+      expect(git('for-each-ref "--format=%(taggername)" refs/tags/v1.0.2+3', path.join(root, 'remote.git'))).toBe('Release Bot');
+    });
+    
+    test('should write the job summary with the bump commit', async () => {
+      process.env.GITHUB_STEP_SUMMARY = path.join(root, 'summary.md');
+      jest.spyOn(core.summary, 'addRaw').mockReturnThis();
+      jest.spyOn(core.summary, 'write').mockResolvedValue(core.summary);
+      
+      try {
+        await runWithPush();
+      } finally {
+        delete process.env.GITHUB_STEP_SUMMARY;
+      }
+      
+      const [[summary]] = core.summary.addRaw.mock.calls;
+      const commitUrl = `${github.context.serverUrl}/owner/repo/commit/${git('rev-parse HEAD')}`;
+      expect(summary).toContain('| Previous (`main`) | `1.0.0+1` |');
+      expect(summary).toContain('| Current | `1.0.1+2` |');
+      expect(summary).toContain('| New | `1.0.2+3` |');
+      expect(summary).toContain('**Decision:** Bumped to `1.0.2+3` (patch). Version 1.0.1+2 was already released: tag v1.0.1+2 (commit');
+      expect(summary).toContain(`**Created:** Tag \`v1.0.2+3\`, Commit [\`${git('rev-parse --short=7 HEAD')}\`](${commitUrl})`);
+      expect(summary).toMatch(/\| `1\.0\.0\+1` \| \[`[0-9a-f]{7}`\]/);
+      expect(core.summary.write).toHaveBeenCalled();
+    });
+    
+    test('should fail before committing with a signing key it cannot read', async () => {
+      inputs['signing-key'] = 'ssh-ed25519 AAAAC3Nza public key';
+      
+      await runWithPush();
+      
+      expect(core.setFailed).toHaveBeenCalledWith(
+        '❌ Action failed: signing-key is neither an armored GPG private key nor an SSH private key'
+      );
+      expect(git('log -1 --format=%s main', path.join(root, 'remote.git'))).toBe('another change');
+    });
+    
+    test('should check every package of pubspec-path and report each one', async () => {
+      inputs['pubspec-path'] = 'pubspec.yaml,packages/core/pubspec.yaml';
+      fs.mkdirSync(path.join(repo, 'packages/core'), { recursive: true });
+      fs.writeFileSync(path.join(repo, 'packages/core/pubspec.yaml'), 'name: core\nversion: 0.1.0+1\n');
+      git('add -A');
+      git('commit -q -m "add core"');
+      git('tag core-v0.1.0+1');
+      commitVersion('1.0.1+2', 'core released');
+      git('push -q origin main core-v0.1.0+1');
+      
+      await runWithPush();
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('app-new-version', '');
+      expect(core.setOutput).toHaveBeenCalledWith('core-new-version', '0.1.1+2');
+      expect(core.setOutput).toHaveBeenCalledWith('core-version-updated', 'true');
+      expect(core.setOutput).toHaveBeenCalledWith('version-updated', 'true');
+      const [, versions] = core.setOutput.mock.calls.find(([name]) => name === 'versions');
+      expect(JSON.parse(versions)).toMatchObject({
+        app: { path: 'pubspec.yaml', 'current-version': '1.0.1+2', 'version-updated': 'false', 'new-version': '' },
+        core: { path: 'packages/core/pubspec.yaml', 'version-updated': 'true', 'new-version': '0.1.1+2' }
+      });
+      expect(fs.readFileSync(path.join(repo, 'pubspec.yaml'), 'utf8')).toBe('name: app\n# keep me\nversion: 1.0.1+2\n');
+      expect(git('tag --list core-v*', path.join(root, 'remote.git')).split('\n')).toEqual(['core-v0.1.0+1', 'core-v0.1.1+2']);
+    });
+    
+    test('should name and look up tags with tag-format', async () => {
+      inputs['tag-format'] = '{package}@{base}';
+      git('tag app@1.0.1 HEAD~1');
+      git('push -q origin app@1.0.1');
+      
+      await runWithPush();
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('new-version', '1.0.2+3');
+      expect(git('tag --list app@*', path.join(root, 'remote.git')).split('\n')).toEqual(['app@1.0.1', 'app@1.0.2']);
+    });
+    
+    test('should reject a tag-format without the version', async () => {
+      inputs.mode = 'check';
+      inputs['tag-format'] = 'release-{build}';
+      await run();
+      expect(core.setFailed).toHaveBeenCalledWith('❌ Invalid tag-format "release-{build}": it needs {version} or {base}');
+    });
+    
+    test('should report the planned changes in a dry run without a token', async () => {
+      inputs['dry-run'] = 'true';
+      inputs.changelog = 'true';
+      inputs['dart-constants'] = 'true';
+      jest.spyOn(core, 'info').mockImplementation(() => {});
+      const before = git('rev-parse HEAD');
+      
+      await run();
+      
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('version-updated', 'true');
+      expect(core.setOutput).toHaveBeenCalledWith('new-version', '1.0.2+3');
+      expect(core.info).toHaveBeenCalledWith('🔍 Would update pubspec.yaml with version: 1.0.2+3');
+      expect(core.info).toHaveBeenCalledWith(expect.stringMatching(/^🔍 Would add 1 commit\(s\) to CHANGELOG\.md:\n## 1\.0\.2\+3/));
+      expect(core.info).toHaveBeenCalledWith('🔍 Would write version constants to lib/src/version.g.dart');
+      expect(core.info).toHaveBeenCalledWith('🔍 Would run: git add pubspec.yaml CHANGELOG.md lib/src/version.g.dart');
+      expect(core.info).toHaveBeenCalledWith(
+        "🔍 Would run: git commit -m 'Auto-increment version to 1.0.2+3\n\nPrevious version: 1.0.1+2\nNew version: 1.0.2+3\n" +
+        "Auto-generated by GitHub Actions\n\nVersion-Bumped-By: flutter-version-checker'"
+      );
+      expect(core.info).toHaveBeenCalledWith("🔍 Would run: git tag -a v1.0.2+3 -m 'Release v1.0.2+3'");
+      expect(core.info).toHaveBeenCalledWith('🔍 Would run: git push --atomic origin HEAD:refs/heads/main refs/tags/v1.0.2+3');
+      expect(git('status --porcelain --ignored')).toBe('');
+      expect(git('rev-parse HEAD')).toBe(before);
+      expect(git('tag --list', path.join(root, 'remote.git'))).toBe('v1.0.1+2');
+    });
+    
+    describe('when the next tag already exists', () => {
+      beforeEach(() => {
+        // Without unique build numbers, the tag is the only thing in the way of 1.0.2+3
+        inputs['unique-build-number'] = 'false';
+        git('tag v1.0.2+3 HEAD~1');
+        git('push -q origin v1.0.2+3');
+      });
+      
+      test('should fail without writing or pushing anything', async () => {
+        inputs.changelog = 'true';
+        inputs['dart-constants'] = 'true';
+        
+        await runWithPush();
+        
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Tag v1.0.2+3 already exists locally and on origin'));
+        expect(git('status --porcelain')).toBe('');
+        expect(git('log -1 --format=%s main', path.join(root, 'remote.git'))).toBe('another change');
+      });
+      
+      test('should fail a dry run the same way', async () => {
+        inputs['dry-run'] = 'true';
+        
+        await run();
+        
+        expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Tag v1.0.2+3 already exists locally and on origin'));
+      });
+      
+      test('should bump past it with bump-again', async () => {
+        inputs['on-tag-exists'] = 'bump-again';
+        
+        await runWithPush();
+        
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(core.setOutput).toHaveBeenCalledWith('new-version', '1.0.3+4');
+        expect(git('rev-parse v1.0.2+3', path.join(root, 'remote.git'))).toBe(git('rev-parse HEAD~2'));
+        expect(git('rev-parse v1.0.3+4^{commit}', path.join(root, 'remote.git'))).toBe(git('rev-parse HEAD'));
+      });
+      
+      test('should refuse to move tags without allow-tag-move', async () => {
+        inputs['on-tag-exists'] = 'move';
+        
+        await runWithPush();
+        
+        expect(core.setFailed).toHaveBeenCalledWith(
+          '❌ on-tag-exists "move" rewrites tags others may have fetched; allow it explicitly with allow-tag-move'
+        );
+        expect(git('log -1 --format=%s main', path.join(root, 'remote.git'))).toBe('another change');
+      });
+    });
+    
+    test('should reject an invalid push-retries', async () => {
+      inputs.mode = 'check';
+      inputs['push-retries'] = 'many';
+      await run();
+      expect(core.setFailed).toHaveBeenCalledWith('❌ Invalid push-retries "many". Expected a whole number');
+    });
+    
+    test('should reject an invalid version in pubspec.yaml', async () => {
+      inputs.mode = 'check';
+      fs.writeFileSync(path.join(repo, 'pubspec.yaml'), 'name: app\nversion: 1.2+3\n');
+      
+      await run();
+      
+      expect(core.setFailed).toHaveBeenCalledWith(
+        '❌ pubspec.yaml: Invalid version "1.2+3": expected MAJOR.MINOR.PATCH, got 2 part(s) in "1.2"'
+      );
     });
   });
 });
@@ -0,0 +1,120 @@
+/**
+ * Collapse the version history to one entry per version change
+ * @param {object[]} history - Commits that changed pubspec.yaml as { sha, version }, newest first
+ * @returns {object[]} - { version, sha } with the commit that introduced each version, newest first
+ */
+function listVersionChanges(history) {
+  const changes = [];
+  for (const entry of history || []) {
+    const last = changes[changes.length - 1];
+    if (last && last.version === entry.version) {
+      // Older commits with the same version move the change back to where it started
+      last.sha = entry.sha;
+    } else {
+      changes.push({ version: entry.version, sha: entry.sha });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Describe what the action decided for a package
+ * @param {object} result - Package result
+ * @returns {string} - Decision in a few words
+ */
+function describeDecision(result) {
+  if (result.versionUpdated) {
+    return `Bumped to \`${result.newVersion}\`${result.bumpType ? ` (${result.bumpType})` : ''}`;
+  }
+  if (result.suggestedVersion) {
+    return `Needs a bump to \`${result.suggestedVersion}\``;
+  }
+  return 'Kept';
+}
+
+/**
+ * Render the job summary of a run
+ * @param {object[]} results - Package results
+ * @param {object} options - Run details
+ * @param {string} options.branch - Branch the history was read from
+ * @param {number} [options.historySize] - Versions of the history to list per package, 0 for none
+ * @param {string|null} [options.repoUrl] - Repository web URL for commit links, plain hashes without it
+ * @param {string|null} [options.commit] - Bump commit that was made
+ * @param {object|null} [options.pullRequest] - { number, url } the bump waits in
+ * @param {boolean} [options.dryRun] - Whether the changes were only planned
+ * @returns {string} - Markdown summary
+ */
+function renderJobSummary(results, options) {
+  const { branch, historySize = 5, repoUrl = null, commit = null, pullRequest = null, dryRun = false } = options;
+  const commitLink = sha => repoUrl ? `[\`${sha.substring(0, 7)}\`](${repoUrl}/commit/${sha})` : `\`${sha.substring(0, 7)}\``;
+
+  const lines = ['## 📦 Flutter Version Check', ''];
+  if (dryRun) {
+    lines.push('> 🔍 Dry run: the changes below were planned, nothing was written, committed or pushed.', '');
+  }
+  const bumped = results.filter(result => result.versionUpdated).length;
+  lines.push(bumped > 0
+    ? `Bumped ${bumped} of ${results.length} package(s) against \`${branch}\`.`
+    : `No package was bumped against \`${branch}\`.`);
+
+  for (const result of results) {
+    lines.push('');
+    if (results.length > 1) {
+      lines.push(`### ${result.name} (\`${result.path}\`)`, '');
+    }
+    lines.push(
+      '| | Version |',
+      '|---|---|',
+      `| Previous (\`${branch}\`) | ${result.previousVersion ? `\`${result.previousVersion}\`` : '_none_'} |`,
+      `| Current | \`${result.initialVersion || result.currentVersion}\` |`,
+      `| New | ${result.newVersion ? `\`${result.newVersion}\`` : '_unchanged_'} |`,
+      '',
+      `**Decision:** ${describeDecision(result)}${result.reason ? `. ${result.reason}.` : '.'}`
+    );
+    if (result.bumpExplanation) {
+      lines.push('', `Commits: ${result.bumpExplanation}`);
+    }
+
+    if (result.versionUpdated) {
+      const made = [];
+      if (result.tag) made.push(`Tag \`${result.tag}\``);
+      if (commit) made.push(`Commit ${commitLink(commit)}`);
+      if (pullRequest) made.push(`Pull request [#${pullRequest.number}](${pullRequest.url})`);
+      if (result.releaseUrl) made.push(`[GitHub Release](${result.releaseUrl})`);
+      if (made.length > 0) {
+        lines.push('', `**${dryRun ? 'Planned' : 'Created'}:** ${made.join(', ')}`);
+      }
+    }
+
+    const changes = listVersionChanges(result.history).slice(0, historySize);
+    if (changes.length > 0) {
+      lines.push(
+        '',
+        `<details><summary>Last ${changes.length} version(s) in \`${branch}\`</summary>`,
+        '',
+        '| Version | Commit |',
+        '|---|---|',
+        ...changes.map(change => `| \`${change.version}\` | ${commitLink(change.sha)} |`),
+        '',
+        '</details>'
+      );
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render the job summary of a run that stopped before checking any package
+ * @param {string} reason - Why the run was skipped
+ * @returns {string} - Markdown summary
+ */
+function renderSkippedSummary(reason) {
+  return `## 📦 Flutter Version Check\n\n⏭️ Skipped: ${reason}. No version was checked or bumped.\n`;
+}
+
+module.exports = {
+  listVersionChanges,
+  renderJobSummary,
+  renderSkippedSummary
+};
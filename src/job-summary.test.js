@@ -0,0 +1,92 @@
+const { listVersionChanges, renderJobSummary, renderSkippedSummary } = require('./job-summary');
+
+const bumped = {
+  name: 'app',
+  path: 'pubspec.yaml',
+  previousVersion: '1.0.0+1',
+  currentVersion: '1.0.2+3',
+  initialVersion: '1.0.1+2',
+  newVersion: '1.0.2+3',
+  versionUpdated: true,
+  suggestedVersion: '1.0.2+3',
+  bumpType: 'patch',
+  bumpExplanation: null,
+  reason: 'Version 1.0.1+2 was already released: tag v1.0.1+2',
+  tag: 'v1.0.2+3',
+  releaseUrl: null,
+  history: [
+    { sha: 'c3c3c3c3c3c3c3c3', version: '1.0.1+2' },
+    { sha: 'b2b2b2b2b2b2b2b2', version: '1.0.1+2' },
+    { sha: 'a1a1a1a1a1a1a1a1', version: '1.0.0+1' }
+  ]
+};
+
+describe('Job summary', () => {
+  test('should list the commit that introduced each version', () => {
+    expect(listVersionChanges(bumped.history)).toEqual([
+      { version: '1.0.1+2', sha: 'b2b2b2b2b2b2b2b2' },
+      { version: '1.0.0+1', sha: 'a1a1a1a1a1a1a1a1' }
+    ]);
+    expect(listVersionChanges(undefined)).toEqual([]);
+  });
+
+  test('should report the versions, decision, history and created commit', () => {
+    const summary = renderJobSummary([bumped], {
+      branch: 'main',
+      repoUrl: 'https://github.com/owner/repo',
+      commit: 'd4d4d4d4d4d4d4d4'
+    });
+
+    expect(summary).toContain('Bumped 1 of 1 package(s) against `main`.');
+    expect(summary).toContain('| Previous (`main`) | `1.0.0+1` |');
+    expect(summary).toContain('| Current | `1.0.1+2` |');
+    expect(summary).toContain('| New | `1.0.2+3` |');
+    expect(summary).toContain('**Decision:** Bumped to `1.0.2+3` (patch). Version 1.0.1+2 was already released: tag v1.0.1+2.');
+    expect(summary).toContain('**Created:** Tag `v1.0.2+3`, Commit [`d4d4d4d`](https://github.com/owner/repo/commit/d4d4d4d4d4d4d4d4)');
+    expect(summary).toContain('| `1.0.0+1` | [`a1a1a1a`](https://github.com/owner/repo/commit/a1a1a1a1a1a1a1a1) |');
+    expect(summary).not.toContain('### app');
+  });
+
+  test('should limit the history and work without links', () => {
+    const summary = renderJobSummary([bumped], { branch: 'main', historySize: 1, dryRun: true });
+
+    expect(summary).toContain('> 🔍 Dry run');
+    expect(summary).toContain('<summary>Last 1 version(s) in `main`</summary>');
+    expect(summary).toContain('| `1.0.1+2` | `b2b2b2b` |');
+    expect(summary).not.toContain('1.0.0+1` | ');
+    expect(summary).toContain('**Planned:** Tag `v1.0.2+3`');
+
+    expect(renderJobSummary([bumped], { branch: 'main', historySize: 0 })).not.toContain('<details>');
+  });
+
+  test('should add a section per package', () => {
+    const kept = {
+      name: 'core',
+      path: 'packages/core/pubspec.yaml',
+      previousVersion: null,
+      currentVersion: '0.1.0',
+      initialVersion: '0.1.0',
+      newVersion: null,
+      versionUpdated: false,
+      suggestedVersion: null,
+      reason: 'No previous version found (first build)',
+      history: []
+    };
+    const summary = renderJobSummary([bumped, kept], {
+      branch: 'develop',
+      pullRequest: { number: 7, url: 'https://github.com/owner/repo/pull/7' }
+    });
+
+    expect(summary).toContain('### app (`pubspec.yaml`)');
+    expect(summary).toContain('### core (`packages/core/pubspec.yaml`)');
+    expect(summary).toContain('Pull request [#7](https://github.com/owner/repo/pull/7)');
+    expect(summary).toContain('| Previous (`develop`) | _none_ |');
+    expect(summary).toContain('| New | _unchanged_ |');
+    expect(summary).toContain('**Decision:** Kept. No previous version found (first build).');
+  });
+
+  test('should say why a run was skipped', () => {
+    expect(renderSkippedSummary('the head commit is a version bump'))
+      .toBe('## 📦 Flutter Version Check\n\n⏭️ Skipped: the head commit is a version bump. No version was checked or bumped.\n');
+  });
+});
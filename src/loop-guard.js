@@ -0,0 +1,45 @@
+// Trailer added to every bump commit, so the run it triggers can recognise it
+const BUMP_TRAILER = 'Version-Bumped-By: flutter-version-checker';
+
+// Markers in the head commit that skip the run; the ci and actions ones are GitHub's own
+const SKIP_MARKERS = ['[skip version]', '[version skip]', '[skip ci]', '[ci skip]', '[no ci]', '[skip actions]', '[actions skip]'];
+
+/**
+ * Mark a bump commit message as made by the action
+ * @param {string} message - Commit message
+ * @param {string} [skipMarker] - Marker appended to the subject, e.g. [skip ci]
+ * @returns {string} - Message with the marker and the Version-Bumped-By trailer
+ */
+function addBumpTrailer(message, skipMarker = '') {
+  const [subject, ...body] = message.trimEnd().split('\n');
+  const marked = skipMarker && !message.includes(skipMarker) ? `${subject} ${skipMarker}` : subject;
+  return `${[marked, ...body].join('\n')}\n\n${BUMP_TRAILER}`;
+}
+
+/**
+ * Decide whether a run should stop because of its head commit
+ * @param {object} commit - Head commit as { message, committerName, committerEmail }
+ * @param {object} [committer] - { name, email } the action commits with
+ * @returns {string|null} - Why the run is skipped, or null to go on
+ */
+function getSkipReason(commit, committer) {
+  const message = commit.message.toLowerCase();
+  const marker = SKIP_MARKERS.find(candidate => message.includes(candidate));
+  if (marker) {
+    return `the head commit contains ${marker}`;
+  }
+  if (commit.message.split('\n').some(line => line.trim() === BUMP_TRAILER)) {
+    return 'the head commit is a version bump';
+  }
+  if (committer && commit.committerName === committer.name && commit.committerEmail === committer.email) {
+    return `the head commit was made by ${committer.name} <${committer.email}>, the version bump committer`;
+  }
+  return null;
+}
+
+module.exports = {
+  BUMP_TRAILER,
+  SKIP_MARKERS,
+  addBumpTrailer,
+  getSkipReason
+};
@@ -0,0 +1,33 @@
+const { BUMP_TRAILER, addBumpTrailer, getSkipReason } = require('./loop-guard');
+
+describe('Loop guard', () => {
+  const committer = { name: 'GitHub Action Auto-Fix', email: 'action@github.com' };
+  const commit = (message, committerName = 'Jane', committerEmail = 'jane@example.com') => ({ message, committerName, committerEmail });
+
+  test('should add the trailer and the skip marker to the bump commit', () => {
+    expect(addBumpTrailer('Auto-increment version to 1.0.1+2\n\nPrevious version: 1.0.0+1\n'))
+      .toBe(`Auto-increment version to 1.0.1+2\n\nPrevious version: 1.0.0+1\n\n${BUMP_TRAILER}`);
+    expect(addBumpTrailer('chore(release): 1.0.1+2', '[skip ci]'))
+      .toBe(`chore(release): 1.0.1+2 [skip ci]\n\n${BUMP_TRAILER}`);
+    expect(addBumpTrailer('chore(release): 1.0.1+2 [skip ci]', '[skip ci]'))
+      .toBe(`chore(release): 1.0.1+2 [skip ci]\n\n${BUMP_TRAILER}`);
+  });
+
+  test('should skip commits with a skip marker', () => {
+    expect(getSkipReason(commit('docs: typo [Skip Version]'), committer)).toBe('the head commit contains [skip version]');
+    expect(getSkipReason(commit('fix: build\n\n[ci skip]'), committer)).toBe('the head commit contains [ci skip]');
+  });
+
+  test('should recognise its own commits', () => {
+    expect(getSkipReason(commit(addBumpTrailer('Auto-increment version to 1.0.1+2')), committer))
+      .toBe('the head commit is a version bump');
+    expect(getSkipReason(commit('Bump', 'GitHub Action Auto-Fix', 'action@github.com'), committer))
+      .toBe('the head commit was made by GitHub Action Auto-Fix <action@github.com>, the version bump committer');
+  });
+
+  test('should go on for other commits', () => {
+    expect(getSkipReason(commit('feat: skip version check on web'), committer)).toBeNull();
+    expect(getSkipReason(commit(`docs: mention the ${BUMP_TRAILER} trailer`), committer)).toBeNull();
+    expect(getSkipReason(commit('Bump', 'GitHub Action Auto-Fix', 'jane@example.com'), committer)).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('@actions/glob');
+const { parseFlutterVersion } = require('./version');
+
+// Native files that may carry their own copy of the version, relative to the package
+const NATIVE_VERSION_FILES = ['android/app/build.gradle', 'android/app/build.gradle.kts', 'ios/Runner/Info.plist'];
+
+/**
+ * Build a pattern for a `key = value` line, capturing prefix, value and trailing comment
+ * @param {string} key - Setting name
+ * @param {string} separator - Pattern between key and value
+ * @returns {RegExp} - Global, multiline pattern
+ */
+function assignment(key, separator) {
+  // `$` in multiline mode stops before `\r`, so CRLF line endings are preserved
+  return new RegExp(`^([ \\t]*${key}${separator})([^\\r\\n]*?)([ \\t]*(?://[^\\r\\n]*)?)$`, 'gm');
+}
+
+// A literal reads as the version it holds, or null when the value defers to a variable
+const quotedLiteral = {
+  read: value => {
+    const match = value.match(/^(["'])([^"'\r\n]*)\1$/);
+    return match ? match[2] : null;
+  },
+  write: (value, literal) => `${value[0]}${literal}${value[0]}`
+};
+const numberLiteral = {
+  read: value => (/^\d+$/.test(value) ? value : null),
+  write: (value, literal) => literal
+};
+const buildSetting = {
+  read: value => (value && !/\$[({]/.test(value) ? value : null),
+  write: (value, literal) => literal
+};
+
+const GRADLE_SEPARATOR = '(?:[ \\t]*=[ \\t]*|[ \\t]+)';
+
+// `part` is the piece of the Flutter version a field holds: the build name or the build number
+const NATIVE_FIELDS = {
+  gradle: [
+    { key: 'versionName', part: 'name', pattern: assignment('versionName', GRADLE_SEPARATOR), literal: quotedLiteral },
+    { key: 'versionCode', part: 'code', pattern: assignment('versionCode', GRADLE_SEPARATOR), literal: numberLiteral }
+  ],
+  plist: [
+    { key: 'CFBundleShortVersionString', part: 'name', pattern: /(<key>CFBundleShortVersionString<\/key>\s*<string>)([^<]*)(<\/string>)/g, literal: buildSetting },
+    { key: 'CFBundleVersion', part: 'code', pattern: /(<key>CFBundleVersion<\/key>\s*<string>)([^<]*)(<\/string>)/g, literal: buildSetting }
+  ],
+  xcconfig: [
+    { key: 'MARKETING_VERSION', part: 'name', pattern: assignment('MARKETING_VERSION', '[ \\t]*=[ \\t]*'), literal: buildSetting },
+    { key: 'CURRENT_PROJECT_VERSION', part: 'code', pattern: assignment('CURRENT_PROJECT_VERSION', '[ \\t]*=[ \\t]*'), literal: buildSetting }
+  ]
+};
+
+/**
+ * Tell which kind of native file a path is
+ * @param {string} file - File path
+ * @returns {string|null} - gradle, plist, xcconfig, or null for other files
+ */
+function getNativeKind(file) {
+  if (/\.gradle(\.kts)?$/.test(file)) return 'gradle';
+  if (file.endsWith('.plist')) return 'plist';
+  if (file.endsWith('.xcconfig')) return 'xcconfig';
+  return null;
+}
+
+/**
+ * Write a Flutter version into the hardcoded version fields of a native file, leaving every other byte untouched
+ * @param {string} content - Original file content
+ * @param {string} kind - gradle, plist or xcconfig
+ * @param {string} version - Flutter version, e.g. "1.2.3+4"
+ * @returns {object} - { content, fields } where fields are { key, value, expected, deferred }
+ */
+function syncNativeContent(content, kind, version) {
+  const parsed = parseFlutterVersion(version);
+  const expected = { name: parsed.base, code: parsed.buildMetadata };
+  const fields = [];
+
+  let updated = content;
+  for (const field of NATIVE_FIELDS[kind]) {
+    updated = updated.replace(field.pattern, (line, prefix, value, suffix) => {
+      const literal = field.literal.read(value);
+      fields.push({ key: field.key, value: literal === null ? value : literal, expected: expected[field.part], deferred: literal === null });
+
+      // Fields reading Flutter's variables follow pubspec.yaml by themselves; a version without a build has no code
+      if (literal === null || expected[field.part] === null) return line;
+      return prefix + field.literal.write(value, expected[field.part]) + suffix;
+    });
+  }
+
+  return { content: updated, fields };
+}
+
+/**
+ * Find the native files of a package that may carry a version
+ * @param {string} packageDir - Directory holding pubspec.yaml
+ * @returns {Promise<string[]>} - Paths relative to the working directory
+ */
+async function findNativeVersionFiles(packageDir) {
+  const files = NATIVE_VERSION_FILES
+    .map(file => path.join(packageDir, file))
+    .filter(file => fs.existsSync(file));
+
+  const iosDir = path.join(packageDir, 'ios');
+  if (fs.existsSync(iosDir)) {
+    // Generated.xcconfig and CocoaPods' files are rewritten by the tooling
+    const globber = await glob.create([
+      `${iosDir}/**/*.xcconfig`,
+      `!${iosDir}/Pods/**`,
+      `!${iosDir}/Flutter/ephemeral/**`,
+      `!${iosDir}/Flutter/Generated.xcconfig`
+    ].join('\n'), { matchDirectories: false });
+    for (const file of (await globber.glob()).sort()) {
+      files.push(path.relative(process.cwd(), file));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Compare the native files of a package with its Flutter version, and optionally rewrite them
+ * @param {string} packageDir - Directory holding pubspec.yaml
+ * @param {string} version - Flutter version
+ * @param {boolean} write - Rewrite hardcoded fields that drifted
+ * @returns {Promise<object[]>} - Reports as { path, fields, drift, written } for files with version fields
+ */
+async function syncNativeVersions(packageDir, version, write) {
+  const reports = [];
+
+  for (const file of await findNativeVersionFiles(packageDir)) {
+    const content = fs.readFileSync(file, 'utf8');
+    const synced = syncNativeContent(content, getNativeKind(file), version);
+    if (synced.fields.length === 0) continue;
+
+    const drift = synced.fields.filter(field => !field.deferred && field.expected !== null && field.value !== field.expected);
+    const written = write && synced.content !== content;
+    if (written) {
+      fs.writeFileSync(file, synced.content, 'utf8');
+    }
+    reports.push({ path: file, fields: synced.fields, drift, written });
+  }
+
+  return reports;
+}
+
+module.exports = {
+  getNativeKind,
+  syncNativeContent,
+  findNativeVersionFiles,
+  syncNativeVersions
+};
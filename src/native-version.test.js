@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getNativeKind,
+  syncNativeContent,
+  findNativeVersionFiles,
+  syncNativeVersions
+} = require('./native-version');
+
+describe('Native version files', () => {
+  describe('syncNativeContent', () => {
+    test('should rewrite hardcoded Groovy fields only', () => {
+      const content = [
+        'android {',
+        '    defaultConfig {',
+        '        minSdkVersion 21',
+        '        versionCode 12 // bumped by hand',
+        "        versionName '1.2.0'",
+        '        versionNameSuffix "-dev"',
+        '    }',
+        '}',
+        ''
+      ].join('\n');
+
+      const synced = syncNativeContent(content, 'gradle', '1.3.0+13');
+
+      expect(synced.content).toBe(content.replace('12 //', '13 //').replace("'1.2.0'", "'1.3.0'"));
+      expect(synced.fields).toEqual([
+        { key: 'versionName', value: '1.2.0', expected: '1.3.0', deferred: false },
+        { key: 'versionCode', value: '12', expected: '13', deferred: false }
+      ]);
+    });
+
+    test('should rewrite Kotlin assignments and keep CRLF line endings', () => {
+      const content = 'defaultConfig {\r\n    versionCode = 4\r\n    versionName = "2.0.0"\r\n}\r\n';
+
+      expect(syncNativeContent(content, 'gradle', '2.1.0-beta.1+5').content)
+        .toBe('defaultConfig {\r\n    versionCode = 5\r\n    versionName = "2.1.0-beta.1"\r\n}\r\n');
+    });
+
+    test('should leave fields that read Flutter variables alone', () => {
+      const groovy = '    versionCode flutterVersionCode.toInteger()\n    versionName flutterVersionName\n';
+      const kotlin = '    versionCode = flutter.versionCode\n    versionName = flutter.versionName\n';
+
+      for (const content of [groovy, kotlin]) {
+        const synced = syncNativeContent(content, 'gradle', '1.3.0+13');
+        expect(synced.content).toBe(content);
+        expect(synced.fields.every(field => field.deferred)).toBe(true);
+      }
+    });
+
+    test('should rewrite Info.plist strings', () => {
+      const content = [
+        '<dict>',
+        '\t<key>CFBundleShortVersionString</key>',
+        '\t<string>1.2.0</string>',
+        '\t<key>CFBundleVersion</key>',
+        '\t<string>$(FLUTTER_BUILD_NUMBER)</string>',
+        '</dict>'
+      ].join('\n');
+
+      const synced = syncNativeContent(content, 'plist', '1.3.0+13');
+
+      expect(synced.content).toBe(content.replace('1.2.0', '1.3.0'));
+      expect(synced.fields[1]).toEqual({ key: 'CFBundleVersion', value: '$(FLUTTER_BUILD_NUMBER)', expected: '13', deferred: true });
+    });
+
+    test('should rewrite xcconfig build settings', () => {
+      const content = '#include "Generated.xcconfig"\nMARKETING_VERSION = 1.2.0\nCURRENT_PROJECT_VERSION=12 // build\n';
+
+      expect(syncNativeContent(content, 'xcconfig', '1.3.0+13').content)
+        .toBe('#include "Generated.xcconfig"\nMARKETING_VERSION = 1.3.0\nCURRENT_PROJECT_VERSION=13 // build\n');
+      expect(syncNativeContent('MARKETING_VERSION = $(FLUTTER_BUILD_NAME)\n', 'xcconfig', '1.3.0+13').fields[0].deferred).toBe(true);
+    });
+
+    test('should keep the code when the version has no build', () => {
+      expect(syncNativeContent('versionCode 12\nversionName "1.2.0"\n', 'gradle', '1.3.0').content)
+        .toBe('versionCode 12\nversionName "1.3.0"\n');
+    });
+  });
+
+  test('should tell native files apart', () => {
+    expect(getNativeKind('android/app/build.gradle.kts')).toBe('gradle');
+    expect(getNativeKind('ios/Runner/Info.plist')).toBe('plist');
+    expect(getNativeKind('ios/Flutter/Release.xcconfig')).toBe('xcconfig');
+    expect(getNativeKind('pubspec.yaml')).toBeNull();
+  });
+
+  describe('syncNativeVersions', () => {
+    let workspace;
+    let originalCwd;
+
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+      fs.writeFileSync(path.join(workspace, file), content);
+    };
+
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'native-version-'));
+      write('apps/mobile/android/app/build.gradle', 'versionCode 12\nversionName "1.2.0"\n');
+      write('apps/mobile/ios/Runner/Info.plist', '<key>CFBundleShortVersionString</key>\n<string>$(FLUTTER_BUILD_NAME)</string>\n');
+      write('apps/mobile/ios/Flutter/Release.xcconfig', '#include "Generated.xcconfig"\n');
+      write('apps/mobile/ios/Flutter/Generated.xcconfig', 'FLUTTER_BUILD_NAME=1.2.0\nMARKETING_VERSION=1.2.0\n');
+      write('apps/mobile/ios/Runner/Configs/Version.xcconfig', 'MARKETING_VERSION = 1.2.0\n');
+      process.chdir(workspace);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    test('should find files that may carry a version', async () => {
+      expect(await findNativeVersionFiles('apps/mobile')).toEqual([
+        path.join('apps', 'mobile', 'android', 'app', 'build.gradle'),
+        path.join('apps', 'mobile', 'ios', 'Runner', 'Info.plist'),
+        path.join('apps', 'mobile', 'ios', 'Flutter', 'Release.xcconfig'),
+        path.join('apps', 'mobile', 'ios', 'Runner', 'Configs', 'Version.xcconfig')
+      ]);
+    });
+
+    test('should report drift without writing', async () => {
+      const reports = await syncNativeVersions('apps/mobile', '1.3.0+13', false);
+
+      expect(reports.map(report => [report.path, report.drift.map(field => field.key), report.written])).toEqual([
+        [path.join('apps', 'mobile', 'android', 'app', 'build.gradle'), ['versionName', 'versionCode'], false],
+        [path.join('apps', 'mobile', 'ios', 'Runner', 'Info.plist'), [], false],
+        [path.join('apps', 'mobile', 'ios', 'Runner', 'Configs', 'Version.xcconfig'), ['MARKETING_VERSION'], false]
+      ]);
+      expect(fs.readFileSync('apps/mobile/android/app/build.gradle', 'utf8')).toBe('versionCode 12\nversionName "1.2.0"\n');
+    });
+
+    test('should rewrite drifted files', async () => {
+      const reports = await syncNativeVersions('apps/mobile', '1.3.0+13', true);
+
+      expect(reports.filter(report => report.written)).toHaveLength(2);
+      expect(fs.readFileSync('apps/mobile/android/app/build.gradle', 'utf8')).toBe('versionCode 13\nversionName "1.3.0"\n');
+      expect(fs.readFileSync('apps/mobile/ios/Runner/Configs/Version.xcconfig', 'utf8')).toBe('MARKETING_VERSION = 1.3.0\n');
+      expect(fs.readFileSync('apps/mobile/ios/Flutter/Generated.xcconfig', 'utf8')).toContain('MARKETING_VERSION=1.2.0');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+// Hidden marker identifying the comment this action keeps up to date
+const COMMENT_MARKER = '<!-- flutter-version-checker -->';
+
+const SUGGESTION_TYPES = ['major', 'minor', 'patch', 'build'];
+
+/**
+ * Render the version comparison comment for a pull request
+ * @param {object[]} packages - Comparisons as { name, path, baseVersion, headVersion, bumpRequired, suggestions }
+ * @param {object} pullRequest - { baseRef }
+ * @returns {string} - Markdown comment body, starting with the marker
+ */
+function renderVersionComment(packages, pullRequest) {
+  const lines = [COMMENT_MARKER, '## 📦 Flutter Version Check', ''];
+  const failing = packages.filter(pkg => pkg.bumpRequired).length;
+
+  lines.push(failing > 0
+    ? `❌ ${failing} of ${packages.length} package(s) need a version bump before merging into \`${pullRequest.baseRef}\`.`
+    : `✅ Versions are ahead of \`${pullRequest.baseRef}\`.`);
+
+  for (const pkg of packages) {
+    lines.push('');
+    if (packages.length > 1) {
+      lines.push(`### ${pkg.name} (\`${pkg.path}\`)`, '');
+    }
+    lines.push(
+      '| | Version |',
+      '|---|---|',
+      `| Previous (\`${pullRequest.baseRef}\`) | ${pkg.baseVersion ? `\`${pkg.baseVersion}\`` : '_none_'} |`,
+      `| Current (this PR) | \`${pkg.headVersion}\` |`,
+      `| Bump required | ${pkg.bumpRequired ? '**Yes**' : 'No'} |`,
+      '',
+      '<details><summary>Suggested next versions</summary>',
+      '',
+      '| Bump | Version |',
+      '|---|---|',
+      ...SUGGESTION_TYPES.map(type => `| ${type} | \`${pkg.suggestions[type]}\` |`),
+      '',
+      '</details>'
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Create the action's comment on an issue or pull request, or update it if it already exists
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repo - { owner, repo }
+ * @param {number} issueNumber - Pull request number
+ * @param {string} body - Comment body, containing COMMENT_MARKER
+ * @returns {Promise<object>} - { id, url, created }
+ */
+async function upsertStickyComment(octokit, repo, issueNumber, body) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    ...repo,
+    issue_number: issueNumber,
+    per_page: 100
+  });
+  const existing = comments.find(comment => comment.body && comment.body.includes(COMMENT_MARKER));
+
+  if (existing) {
+    const { data } = await octokit.rest.issues.updateComment({ ...repo, comment_id: existing.id, body });
+    return { id: data.id, url: data.html_url, created: false };
+  }
+
+  const { data } = await octokit.rest.issues.createComment({ ...repo, issue_number: issueNumber, body });
+  return { id: data.id, url: data.html_url, created: true };
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  SUGGESTION_TYPES,
+  renderVersionComment,
+  upsertStickyComment
+};
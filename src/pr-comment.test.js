@@ -0,0 +1,77 @@
+const { COMMENT_MARKER, renderVersionComment, upsertStickyComment } = require('./pr-comment');
+
+const suggestions = { major: '2.0.0+6', minor: '1.1.0+6', patch: '1.0.2+6', build: '1.0.1+6' };
+
+describe('Pull request comment', () => {
+  describe('renderVersionComment', () => {
+    test('should render a single package table', () => {
+      const body = renderVersionComment([{
+        name: 'app',
+        path: 'pubspec.yaml',
+        baseVersion: '1.0.1+5',
+        headVersion: '1.0.1+5',
+        bumpRequired: true,
+        suggestions
+      }], { baseRef: 'main' });
+
+      expect(body.startsWith(`${COMMENT_MARKER}\n## 📦 Flutter Version Check`)).toBe(true);
+      expect(body).toContain('❌ 1 of 1 package(s) need a version bump before merging into `main`.');
+      expect(body).toContain('| Previous (`main`) | `1.0.1+5` |');
+      expect(body).toContain('| Current (this PR) | `1.0.1+5` |');
+      expect(body).toContain('| Bump required | **Yes** |');
+      expect(body).toContain('| minor | `1.1.0+6` |');
+      expect(body).not.toContain('### app');
+    });
+
+    test('should add a section per package', () => {
+      const body = renderVersionComment([
+        { name: 'app', path: 'apps/app/pubspec.yaml', baseVersion: null, headVersion: '1.0.0+1', bumpRequired: false, suggestions },
+        { name: 'core', path: 'packages/core/pubspec.yaml', baseVersion: '1.0.0', headVersion: '1.1.0', bumpRequired: false, suggestions }
+      ], { baseRef: 'develop' });
+
+      expect(body).toContain('✅ Versions are ahead of `develop`.');
+      expect(body).toContain('### app (`apps/app/pubspec.yaml`)');
+      expect(body).toContain('### core (`packages/core/pubspec.yaml`)');
+      expect(body).toContain('| Previous (`develop`) | _none_ |');
+    });
+  });
+
+  describe('upsertStickyComment', () => {
+    const repo = { owner: 'owner', repo: 'repo' };
+
+    function createOctokit(comments) {
+      return {
+        paginate: jest.fn().mockResolvedValue(comments),
+        rest: {
+          issues: {
+            listComments: jest.fn(),
+            createComment: jest.fn().mockResolvedValue({ data: { id: 11, html_url: 'https://github.com/c/11' } }),
+            updateComment: jest.fn().mockResolvedValue({ data: { id: 9, html_url: 'https://github.com/c/9' } })
+          }
+        }
+      };
+    }
+
+    test('should create the comment the first time', async () => {
+      const octokit = createOctokit([{ id: 1, body: 'LGTM' }]);
+      const result = await upsertStickyComment(octokit, repo, 4, `${COMMENT_MARKER}\nbody`);
+
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listComments, {
+        ...repo,
+        issue_number: 4,
+        per_page: 100
+      });
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({ ...repo, issue_number: 4, body: `${COMMENT_MARKER}\nbody` });
+      expect(result).toEqual({ id: 11, url: 'https://github.com/c/11', created: true });
+    });
+
+    test('should update the existing comment', async () => {
+      const octokit = createOctokit([{ id: 1, body: 'LGTM' }, { id: 9, body: `${COMMENT_MARKER}\nold` }]);
+      const result = await upsertStickyComment(octokit, repo, 4, `${COMMENT_MARKER}\nnew`);
+
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({ ...repo, comment_id: 9, body: `${COMMENT_MARKER}\nnew` });
+      expect(result.created).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('@actions/glob');
+const yaml = require('js-yaml');
+const semver = require('semver');
+
+const BOM = '\uFEFF';
+
+// Top-level `version:` key, optionally quoted, with an optional trailing comment.
+// `$` in multiline mode stops before `\r`, so CRLF line endings are preserved.
+const VERSION_LINE = /^(version[ \t]*:[ \t]*)(?:"([^"\r\n]*)"|'([^'\r\n]*)'|([^#\r\n]*?))([ \t]+#[^\r\n]*|[ \t]*)$/m;
+
+/**
+ * Detect the line ending used by a document
+ * @param {string} content - Document content
+ * @returns {string} - "\r\n" or "\n"
+ */
+function detectLineEnding(content) {
+  return content.includes('\r\n') ? '\r\n' : '\n';
+}
+
+/**
+ * Replace the version scalar in pubspec.yaml content, leaving every other byte untouched
+ * @param {string} content - Original pubspec.yaml content
+ * @param {string} newVersion - New version string
+ * @returns {string} - Updated pubspec.yaml content
+ */
+function replacePubspecVersion(content, newVersion) {
+  const hasBom = content.startsWith(BOM);
+  const body = hasBom ? content.slice(BOM.length) : content;
+
+  let updated;
+  const match = body.match(VERSION_LINE);
+
+  if (match) {
+    const [line, prefix, doubleQuoted, singleQuoted, , suffix] = match;
+    // `version:` with an empty value has no separating space yet
+    const spacer = /[ \t]$/.test(prefix) ? '' : ' ';
+    let value = newVersion;
+    if (doubleQuoted !== undefined) {
+      value = `"${newVersion}"`;
+    } else if (singleQuoted !== undefined) {
+      value = `'${newVersion}'`;
+    }
+    updated = body.slice(0, match.index) + prefix + spacer + value + suffix + body.slice(match.index + line.length);
+  } else {
+    // No version key yet: insert it after the top-level name, or append it
+    const eol = detectLineEnding(body);
+    const nameMatch = body.match(/^name[ \t]*:[^\r\n]*(\r?\n|$)/m);
+    if (nameMatch) {
+      const insertAt = nameMatch.index + nameMatch[0].length;
+      const separator = nameMatch[1] ? '' : eol;
+      updated = body.slice(0, insertAt) + separator + `version: ${newVersion}` + eol + body.slice(insertAt);
+    } else {
+      const separator = body === '' || body.endsWith('\n') ? '' : eol;
+      updated = body + separator + `version: ${newVersion}` + eol;
+    }
+  }
+
+  // Make sure the surgical edit produced the YAML we meant to write
+  const doc = yaml.load(updated);
+  if (!doc || String(doc.version) !== newVersion) {
+    throw new Error(`Could not rewrite version to ${newVersion}`);
+  }
+
+  return hasBom ? BOM + updated : updated;
+}
+
+/**
+ * Rewrite a version constraint so it targets a new version, keeping its operator and quotes
+ * @param {string} constraint - Existing constraint (e.g. "^1.2.0", "'>=1.0.0 <2.0.0'", "1.2.0")
+ * @param {string} newVersion - New version of the dependency
+ * @returns {string} - Rewritten constraint, or the original when it cannot be rewritten
+ */
+function rewriteConstraint(constraint, newVersion) {
+  const quoted = constraint.match(/^(["'])(.*)\1$/);
+  const quote = quoted ? quoted[1] : '';
+  const value = quoted ? quoted[2] : constraint;
+  // Constraints target the release, not a specific build
+  const base = newVersion.split('+')[0];
+
+  let rewritten;
+  if (value === 'any' || value === '') {
+    return constraint;
+  } else if (value.startsWith('^')) {
+    rewritten = `^${base}`;
+  } else if (value.startsWith('>=')) {
+    // Move the lower bound, falling back to a caret once the upper bound would exclude the new version
+    const upper = value.match(/<[ \t]*([\w.+-]+)/);
+    rewritten = upper && semver.valid(upper[1]) && semver.gte(base, upper[1])
+      ? `^${base}`
+      : value.replace(/^>=[ \t]*[\w.+-]+/, `>=${base}`);
+  } else if (/^\d/.test(value)) {
+    rewritten = newVersion;
+  } else {
+    return constraint;
+  }
+
+  return `${quote}${rewritten}${quote}`;
+}
+
+/**
+ * Rewrite the constraint on a dependency in pubspec.yaml content, leaving every other byte untouched
+ * @param {string} content - Original pubspec.yaml content
+ * @param {string} dependency - Dependency package name
+ * @param {string} newVersion - New version of the dependency
+ * @returns {string} - Updated pubspec.yaml content (unchanged for path-only dependencies)
+ */
+function replaceDependencyConstraint(content, dependency, newVersion) {
+  const lines = content.split('\n');
+  let inSection = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^[^\s#]/.test(line)) {
+      // A new top-level key starts or ends a dependency section
+      inSection = /^(dependencies|dev_dependencies)[ \t]*:/.test(line);
+      continue;
+    }
+    if (!inSection) continue;
+
+    const entry = line.match(/^([ \t]+)([\w.-]+)([ \t]*:[ \t]*)([^#\r]*?)([ \t]*(?:#[^\r]*)?\r?)$/);
+    if (!entry || entry[2] !== dependency) continue;
+
+    const [, indent, , separator, value, suffix] = entry;
+
+    if (value.startsWith('{')) {
+      // Flow map such as `{path: ../core, version: ^1.0.0}`
+      lines[i] = indent + dependency + separator + value.replace(
+        /(version[ \t]*:[ \t]*)("[^"]*"|'[^']*'|[^,}]*?)([ \t]*[,}])/,
+        (match, key, constraint, end) => key + rewriteConstraint(constraint, newVersion) + end
+      ) + suffix;
+    } else if (value) {
+      lines[i] = indent + dependency + separator + rewriteConstraint(value, newVersion) + suffix;
+    } else {
+      // Block map: look for a nested `version:` key
+      for (let j = i + 1; j < lines.length; j++) {
+        const nested = lines[j].match(/^([ \t]*)/)[1];
+        if (lines[j].trim() && nested.length <= indent.length) break;
+        const versionLine = lines[j].match(/^([ \t]+version[ \t]*:[ \t]*)([^#\r]*?)([ \t]*(?:#[^\r]*)?\r?)$/);
+        if (versionLine) {
+          lines[j] = versionLine[1] + rewriteConstraint(versionLine[2], newVersion) + versionLine[3];
+          break;
+        }
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Resolve the pubspec-path input into a list of pubspec.yaml files
+ * @param {string} input - One path, or a newline/comma separated list of paths and globs
+ * @returns {Promise<string[]>} - Paths relative to the working directory, sorted
+ */
+async function resolvePubspecPaths(input) {
+  const entries = (input || 'pubspec.yaml')
+    .split(/[\n,]/)
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  const exclusions = entries.filter(entry => entry.startsWith('!'));
+  const literals = entries.filter(entry => !/[*?[\]]/.test(entry) && !entry.startsWith('!'));
+  const patterns = entries.filter(entry => !literals.includes(entry) && !exclusions.includes(entry));
+  const resolved = new Set();
+
+  for (const literal of literals) {
+    // A directory stands for the pubspec.yaml inside it
+    const isDirectory = fs.existsSync(literal) && fs.statSync(literal).isDirectory();
+    resolved.add(path.normalize(isDirectory ? path.join(literal, 'pubspec.yaml') : literal));
+  }
+
+  if (patterns.length > 0 || exclusions.length > 0) {
+    // Existing literal paths go through the globber too, so the exclusions apply to them as well
+    const existing = [...resolved].filter(file => fs.existsSync(file));
+    const globber = await glob.create([...patterns, ...existing, ...exclusions].join('\n'), { matchDirectories: false });
+    const matched = new Set((await globber.glob()).map(file => path.relative(process.cwd(), file)));
+    for (const file of existing) {
+      if (!matched.has(file)) {
+        resolved.delete(file);
+      }
+    }
+    for (const file of matched) {
+      if (path.basename(file) === 'pubspec.yaml') {
+        resolved.add(file);
+      }
+    }
+  }
+
+  return [...resolved].sort();
+}
+
+module.exports = {
+  replacePubspecVersion,
+  detectLineEnding,
+  rewriteConstraint,
+  replaceDependencyConstraint,
+  resolvePubspecPaths
+};
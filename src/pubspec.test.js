@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  replacePubspecVersion,
+  detectLineEnding,
+  rewriteConstraint,
+  replaceDependencyConstraint,
+  resolvePubspecPaths
+} = require('./pubspec');
+
+describe('pubspec writer', () => {
+  describe('replacePubspecVersion', () => {
+    test('should only touch the version scalar', () => {
+      const content = [
+        '# App manifest',
+        'name: my_app',
+        "description: 'A Flutter app'",
+        '',
+        'version: 1.0.0+1',
+        '',
+        'flutter:',
+        '  assets: [assets/a.png, assets/b.png]',
+        ''
+      ].join('\n');
+
+      expect(replacePubspecVersion(content, '1.0.1+2')).toBe(content.replace('1.0.0+1', '1.0.1+2'));
+    });
+
+    test('should preserve quotes and trailing comments', () => {
+      expect(replacePubspecVersion('name: a\nversion: "1.0.0+1" # bumped by CI\n', '1.0.1+2'))
+        .toBe('name: a\nversion: "1.0.1+2" # bumped by CI\n');
+      expect(replacePubspecVersion("name: a\nversion: '1.0.0+1'\n", '1.0.1+2'))
+        .toBe("name: a\nversion: '1.0.1+2'\n");
+      expect(replacePubspecVersion('name: a\nversion:   1.0.0+1   # keep\n', '2.0.0+3'))
+        .toBe('name: a\nversion:   2.0.0+3   # keep\n');
+    });
+
+    test('should preserve CRLF line endings and a BOM', () => {
+      const content = '\uFEFFname: a\r\nversion: 1.0.0+1\r\nflutter:\r\n  uses-material-design: true\r\n';
+      expect(replacePubspecVersion(content, '1.0.1+2'))
+        .toBe('\uFEFFname: a\r\nversion: 1.0.1+2\r\nflutter:\r\n  uses-material-design: true\r\n');
+    });
+
+    test('should ignore nested version keys', () => {
+      const content = 'name: a\ndependencies:\n  foo:\n    version: ^1.0.0\nversion: 1.0.0+1\n';
+      expect(replacePubspecVersion(content, '1.0.1+2'))
+        .toBe('name: a\ndependencies:\n  foo:\n    version: ^1.0.0\nversion: 1.0.1+2\n');
+    });
+
+    test('should insert a missing version after the package name', () => {
+      expect(replacePubspecVersion('name: a\r\nflutter:\r\n', '1.0.0+1'))
+        .toBe('name: a\r\nversion: 1.0.0+1\r\nflutter:\r\n');
+      expect(replacePubspecVersion('description: x', '1.0.0+1'))
+        .toBe('description: x\nversion: 1.0.0+1\n');
+    });
+
+    test('should fill in an empty version value', () => {
+      expect(replacePubspecVersion('name: a\nversion:\n', '1.0.0+1')).toBe('name: a\nversion: 1.0.0+1\n');
+    });
+  });
+
+  describe('detectLineEnding', () => {
+    test('should detect CRLF and LF documents', () => {
+      expect(detectLineEnding('a: 1\r\nb: 2\r\n')).toBe('\r\n');
+      expect(detectLineEnding('a: 1\nb: 2\n')).toBe('\n');
+    });
+  });
+
+  describe('rewriteConstraint', () => {
+    test('should keep the constraint style', () => {
+      expect(rewriteConstraint('^1.0.0', '1.2.0+7')).toBe('^1.2.0');
+      expect(rewriteConstraint('"^1.0.0"', '1.2.0+7')).toBe('"^1.2.0"');
+      expect(rewriteConstraint('1.0.0+3', '1.2.0+7')).toBe('1.2.0+7');
+      expect(rewriteConstraint("'>=1.0.0 <2.0.0'", '1.2.0+7')).toBe("'>=1.2.0 <2.0.0'");
+    });
+
+    test('should fall back to a caret when the upper bound excludes the new version', () => {
+      expect(rewriteConstraint('>=1.0.0 <2.0.0', '2.0.0+1')).toBe('^2.0.0');
+    });
+
+    test('should leave open constraints alone', () => {
+      expect(rewriteConstraint('any', '1.2.0')).toBe('any');
+    });
+  });
+
+  describe('replaceDependencyConstraint', () => {
+    const content = [
+      'name: app',
+      'version: 1.0.0+1',
+      'dependencies:',
+      '  core: ^1.0.0 # internal',
+      '  ui:',
+      '    path: ../ui',
+      '    version: ">=2.0.0 <3.0.0"',
+      '  net: {path: ../net, version: ^0.1.0}',
+      '  local:',
+      '    path: ../local',
+      'dev_dependencies:',
+      '  tools: 1.0.0',
+      'dependency_overrides:',
+      '  core: ^0.9.0',
+      ''
+    ].join('\r\n');
+
+    test('should rewrite scalar constraints and keep comments', () => {
+      expect(replaceDependencyConstraint(content, 'core', '1.1.0+2'))
+        .toBe(content.replace('core: ^1.0.0 # internal', 'core: ^1.1.0 # internal'));
+    });
+
+    test('should rewrite nested and flow map versions', () => {
+      expect(replaceDependencyConstraint(content, 'ui', '2.1.0+5'))
+        .toBe(content.replace('version: ">=2.0.0 <3.0.0"', 'version: ">=2.1.0 <3.0.0"'));
+      expect(replaceDependencyConstraint(content, 'net', '0.2.0+1'))
+        .toBe(content.replace('version: ^0.1.0}', 'version: ^0.2.0}'));
+    });
+
+    test('should rewrite dev dependencies', () => {
+      expect(replaceDependencyConstraint(content, 'tools', '1.0.1+2'))
+        .toBe(content.replace('tools: 1.0.0', 'tools: 1.0.1+2'));
+    });
+
+    test('should leave path-only dependencies untouched', () => {
+      expect(replaceDependencyConstraint(content, 'local', '3.0.0')).toBe(content);
+      expect(replaceDependencyConstraint(content, 'missing', '3.0.0')).toBe(content);
+    });
+  });
+
+  describe('resolvePubspecPaths', () => {
+    let workspace;
+    let originalCwd;
+
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'pubspec-paths-'));
+      for (const dir of ['.', 'apps/mobile', 'packages/core', 'packages/ui']) {
+        fs.mkdirSync(path.join(workspace, dir), { recursive: true });
+        fs.writeFileSync(path.join(workspace, dir, 'pubspec.yaml'), 'name: x\nversion: 1.0.0+1\n');
+      }
+      process.chdir(workspace);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    test('should default to the root pubspec.yaml', async () => {
+      expect(await resolvePubspecPaths('')).toEqual(['pubspec.yaml']);
+    });
+
+    test('should accept a directory or a file path', async () => {
+      expect(await resolvePubspecPaths('apps/mobile')).toEqual([path.join('apps', 'mobile', 'pubspec.yaml')]);
+      expect(await resolvePubspecPaths('./apps/mobile/pubspec.yaml')).toEqual([path.join('apps', 'mobile', 'pubspec.yaml')]);
+    });
+
+    test('should expand glob lists with exclusions', async () => {
+      const paths = await resolvePubspecPaths('apps/mobile/pubspec.yaml\npackages/*/pubspec.yaml\n!packages/ui/**');
+      expect(paths).toEqual([
+        path.join('apps', 'mobile', 'pubspec.yaml'),
+        path.join('packages', 'core', 'pubspec.yaml')
+      ]);
+    });
+
+    test('should apply exclusions to literal paths', async () => {
+      const paths = await resolvePubspecPaths('apps/mobile, packages/core, packages/ui\n!packages/ui/**');
+      expect(paths).toEqual([
+        path.join('apps', 'mobile', 'pubspec.yaml'),
+        path.join('packages', 'core', 'pubspec.yaml')
+      ]);
+    });
+
+    test('should accept comma separated entries', async () => {
+      expect(await resolvePubspecPaths('apps/mobile, packages/core')).toEqual([
+        path.join('apps', 'mobile', 'pubspec.yaml'),
+        path.join('packages', 'core', 'pubspec.yaml')
+      ]);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Messages git and GitHub use when a branch refuses a push
+const PUSH_REJECTED = /\[(?:remote )?rejected\]|protected branch|GH006|GH013|permission .* denied|not allowed to push/i;
+
+// Messages git uses when the branch moved on since it was fetched
+const PUSH_BEHIND = /\[rejected\][^\n]*\((?:fetch first|non-fast-forward)\)/i;
+
+/**
+ * Check whether a failed push was rejected by the remote branch
+ * @param {Error} error - Error thrown by the push
+ * @returns {boolean} - True when the branch rejected the push
+ */
+function isPushRejected(error) {
+  return PUSH_REJECTED.test(error && error.message);
+}
+
+/**
+ * Check whether a failed push was rejected because the remote branch has commits the push lacks
+ * @param {Error} error - Error thrown by the push
+ * @returns {boolean} - True when fetching and rebasing could make the push succeed
+ */
+function isPushBehind(error) {
+  return PUSH_BEHIND.test(error && error.message);
+}
+
+/**
+ * Split a comma or newline separated input into a list
+ * @param {string} value - Input value
+ * @returns {string[]} - Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(/[\n,]/).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Open a pull request for a branch, or update the one that is already open
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repo - { owner, repo }
+ * @param {object} options - Pull request options
+ * @param {string} options.head - Branch holding the changes
+ * @param {string} options.base - Branch to merge into
+ * @param {string} options.title - Pull request title
+ * @param {string} options.body - Pull request description
+ * @param {string[]} [options.labels] - Labels to add
+ * @param {string[]} [options.reviewers] - Users, or "org/team" for teams, to request reviews from
+ * @returns {Promise<object>} - { number, url, created }
+ */
+async function openOrUpdatePullRequest(octokit, repo, options) {
+  const { head, base, title, body, labels = [], reviewers = [] } = options;
+
+  const { data: open } = await octokit.rest.pulls.list({
+    ...repo,
+    head: `${repo.owner}:${head}`,
+    base,
+    state: 'open'
+  });
+
+  let pullRequest;
+  const created = open.length === 0;
+  if (created) {
+    ({ data: pullRequest } = await octokit.rest.pulls.create({ ...repo, head, base, title, body }));
+  } else {
+    ({ data: pullRequest } = await octokit.rest.pulls.update({ ...repo, pull_number: open[0].number, title, body }));
+  }
+
+  if (labels.length > 0) {
+    await octokit.rest.issues.addLabels({ ...repo, issue_number: pullRequest.number, labels });
+  }
+
+  const teamReviewers = reviewers.filter(reviewer => reviewer.includes('/')).map(reviewer => reviewer.split('/').pop());
+  const userReviewers = reviewers.filter(reviewer => !reviewer.includes('/'));
+  if (teamReviewers.length > 0 || userReviewers.length > 0) {
+    await octokit.rest.pulls.requestReviewers({
+      ...repo,
+      pull_number: pullRequest.number,
+      reviewers: userReviewers,
+      team_reviewers: teamReviewers
+    });
+  }
+
+  return { number: pullRequest.number, url: pullRequest.html_url, created };
+}
+
+module.exports = {
+  isPushRejected,
+  isPushBehind,
+  parseList,
+  openOrUpdatePullRequest
+};
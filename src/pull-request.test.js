@@ -0,0 +1,109 @@
+const { isPushRejected, isPushBehind, parseList, openOrUpdatePullRequest } = require('./pull-request');
+
+function createOctokit(openPulls = []) {
+  return {
+    rest: {
+      pulls: {
+        list: jest.fn().mockResolvedValue({ data: openPulls }),
+        create: jest.fn().mockResolvedValue({ data: { number: 7, html_url: 'https://github.com/owner/repo/pull/7' } }),
+        update: jest.fn().mockResolvedValue({ data: { number: 5, html_url: 'https://github.com/owner/repo/pull/5' } }),
+        requestReviewers: jest.fn().mockResolvedValue({ data: {} })
+      },
+      issues: {
+        addLabels: jest.fn().mockResolvedValue({ data: [] })
+      }
+    }
+  };
+}
+
+describe('Pull request', () => {
+  const repo = { owner: 'owner', repo: 'repo' };
+  const options = {
+    head: 'version-bump/1.0.1+2',
+    base: 'main',
+    title: 'Auto-increment version to 1.0.1+2',
+    body: 'Previous version: 1.0.0+1'
+  };
+
+  describe('isPushRejected', () => {
+    test('should recognise rejected pushes', () => {
+      expect(isPushRejected(new Error(' ! [remote rejected] HEAD -> main (protected branch hook declined)'))).toBe(true);
+      expect(isPushRejected(new Error('remote: error: GH006: Protected branch update failed'))).toBe(true);
+      expect(isPushRejected(new Error(' ! [rejected]        HEAD -> main (fetch first)'))).toBe(true);
+    });
+
+    test('should not treat other failures as rejections', () => {
+      expect(isPushRejected(new Error('Could not resolve host: github.com'))).toBe(false);
+      expect(isPushRejected(null)).toBe(false);
+    });
+  });
+
+  describe('isPushBehind', () => {
+    test('should recognise pushes to a branch that moved on', () => {
+      expect(isPushBehind(new Error(' ! [rejected]        HEAD -> main (fetch first)'))).toBe(true);
+      expect(isPushBehind(new Error(' ! [rejected]        HEAD -> main (non-fast-forward)'))).toBe(true);
+    });
+
+    test('should not retry protected branches', () => {
+      expect(isPushBehind(new Error(' ! [remote rejected] HEAD -> main (protected branch hook declined)'))).toBe(false);
+      expect(isPushBehind(null)).toBe(false);
+    });
+  });
+
+  describe('parseList', () => {
+    test('should split commas and newlines', () => {
+      expect(parseList('release, automated\nversion')).toEqual(['release', 'automated', 'version']);
+      expect(parseList('')).toEqual([]);
+    });
+  });
+
+  describe('openOrUpdatePullRequest', () => {
+    test('should open a new pull request', async () => {
+      const octokit = createOctokit();
+      const result = await openOrUpdatePullRequest(octokit, repo, options);
+
+      expect(octokit.rest.pulls.list).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        head: 'owner:version-bump/1.0.1+2',
+        base: 'main',
+        state: 'open'
+      });
+      expect(octokit.rest.pulls.create).toHaveBeenCalledWith({ ...repo, ...options });
+      expect(octokit.rest.issues.addLabels).not.toHaveBeenCalled();
+      expect(octokit.rest.pulls.requestReviewers).not.toHaveBeenCalled();
+      expect(result).toEqual({ number: 7, url: 'https://github.com/owner/repo/pull/7', created: true });
+    });
+
+    test('should update the open pull request', async () => {
+      const octokit = createOctokit([{ number: 5 }]);
+      const result = await openOrUpdatePullRequest(octokit, repo, options);
+
+      expect(octokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(octokit.rest.pulls.update).toHaveBeenCalledWith({
+        ...repo,
+        pull_number: 5,
+        title: options.title,
+        body: options.body
+      });
+      expect(result.created).toBe(false);
+    });
+
+    test('should add labels and request user and team reviewers', async () => {
+      const octokit = createOctokit();
+      await openOrUpdatePullRequest(octokit, repo, {
+        ...options,
+        labels: ['release'],
+        reviewers: ['octocat', 'owner/mobile-team']
+      });
+
+      expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith({ ...repo, issue_number: 7, labels: ['release'] });
+      expect(octokit.rest.pulls.requestReviewers).toHaveBeenCalledWith({
+        ...repo,
+        pull_number: 7,
+        reviewers: ['octocat'],
+        team_reviewers: ['mobile-team']
+      });
+    });
+  });
+});
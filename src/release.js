@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('@actions/glob');
+
+/**
+ * Resolve release artifact globs into files
+ * @param {string} patterns - Newline separated globs, may be empty
+ * @returns {Promise<string[]>} - Matching files
+ */
+async function resolveArtifacts(patterns) {
+  if (!patterns || !patterns.trim()) return [];
+  const globber = await glob.create(patterns, { matchDirectories: false });
+  return globber.glob();
+}
+
+/**
+ * Upload files as release assets
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repo - { owner, repo }
+ * @param {object} release - Release returned by the API
+ * @param {string[]} files - Files to upload
+ * @returns {Promise<object[]>} - Uploaded assets as { name, url }
+ */
+async function uploadReleaseAssets(octokit, repo, release, files) {
+  const assets = [];
+
+  for (const file of files) {
+    const name = path.basename(file);
+    const { data } = await octokit.rest.repos.uploadReleaseAsset({
+      ...repo,
+      release_id: release.id,
+      url: release.upload_url,
+      name,
+      data: fs.readFileSync(file),
+      headers: {
+        'content-type': 'application/octet-stream',
+        'content-length': fs.statSync(file).size
+      }
+    });
+    assets.push({ name, url: data.browser_download_url });
+  }
+
+  return assets;
+}
+
+/**
+ * Publish a GitHub Release for a tag, with generated release notes and optional assets
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repo - { owner, repo }
+ * @param {object} options - Release options
+ * @param {string} options.tag - Tag to release
+ * @param {string} [options.previousTag] - Tag the release notes start from
+ * @param {string} [options.name] - Release title, defaults to the generated one
+ * @param {boolean} [options.draft] - Create a draft release
+ * @param {boolean} [options.prerelease] - Mark the release as a pre-release
+ * @param {string} [options.artifacts] - Newline separated globs of files to upload
+ * @returns {Promise<object>} - { id, url, assets }
+ */
+async function publishRelease(octokit, repo, options) {
+  const { tag, previousTag, name, draft = false, prerelease = false, artifacts = '' } = options;
+
+  // Resolve artifacts first so a bad glob does not leave an empty release behind
+  const files = await resolveArtifacts(artifacts);
+
+  const notes = await octokit.rest.repos.generateReleaseNotes({
+    ...repo,
+    tag_name: tag,
+    ...(previousTag ? { previous_tag_name: previousTag } : {})
+  });
+
+  const { data: release } = await octokit.rest.repos.createRelease({
+    ...repo,
+    tag_name: tag,
+    name: name || notes.data.name,
+    body: notes.data.body,
+    draft,
+    prerelease
+  });
+
+  const assets = await uploadReleaseAssets(octokit, repo, release, files);
+
+  return { id: release.id, url: release.html_url, assets };
+}
+
+module.exports = {
+  resolveArtifacts,
+  uploadReleaseAssets,
+  publishRelease
+};
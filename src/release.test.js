@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveArtifacts, publishRelease } = require('./release');
+
+function createOctokit() {
+  return {
+    rest: {
+      repos: {
+        generateReleaseNotes: jest.fn().mockResolvedValue({
+          data: { name: 'v1.2.0+5', body: '## What\'s Changed\n* feat: login' }
+        }),
+        createRelease: jest.fn().mockResolvedValue({
+          data: {
+            id: 42,
+            html_url: 'https://github.com/owner/repo/releases/tag/v1.2.0+5',
+            upload_url: 'https://uploads.github.com/repos/owner/repo/releases/42/assets{?name,label}'
+          }
+        }),
+        uploadReleaseAsset: jest.fn().mockImplementation(({ name }) => Promise.resolve({
+          data: { browser_download_url: `https://github.com/owner/repo/releases/download/v1.2.0+5/${name}` }
+        }))
+      }
+    }
+  };
+}
+
+describe('GitHub Release', () => {
+  const repo = { owner: 'owner', repo: 'repo' };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-'));
+    fs.mkdirSync(path.join(dir, 'build'));
+    fs.writeFileSync(path.join(dir, 'build', 'app.apk'), 'apk');
+    fs.writeFileSync(path.join(dir, 'build', 'app.aab'), 'aab');
+    fs.writeFileSync(path.join(dir, 'build', 'notes.txt'), 'notes');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('resolveArtifacts', () => {
+    test('should return nothing without patterns', async () => {
+      expect(await resolveArtifacts('')).toEqual([]);
+      expect(await resolveArtifacts('  \n')).toEqual([]);
+    });
+
+    test('should expand globs', async () => {
+      const files = await resolveArtifacts(`${dir}/build/*.apk\n${dir}/build/*.aab`);
+      expect(files.map(file => path.basename(file)).sort()).toEqual(['app.aab', 'app.apk']);
+    });
+  });
+
+  describe('publishRelease', () => {
+    test('should create a release with generated notes', async () => {
+      const octokit = createOctokit();
+      const release = await publishRelease(octokit, repo, { tag: 'v1.2.0+5', previousTag: 'v1.1.0+4', prerelease: true });
+
+      expect(octokit.rest.repos.generateReleaseNotes).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        tag_name: 'v1.2.0+5',
+        previous_tag_name: 'v1.1.0+4'
+      });
+      expect(octokit.rest.repos.createRelease).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        tag_name: 'v1.2.0+5',
+        name: 'v1.2.0+5',
+        body: '## What\'s Changed\n* feat: login',
+        draft: false,
+        prerelease: true
+      });
+      expect(octokit.rest.repos.uploadReleaseAsset).not.toHaveBeenCalled();
+      expect(release).toEqual({ id: 42, url: 'https://github.com/owner/repo/releases/tag/v1.2.0+5', assets: [] });
+    });
+
+    test('should let GitHub pick the previous tag when unknown', async () => {
+      const octokit = createOctokit();
+      await publishRelease(octokit, repo, { tag: 'v1.2.0+5', draft: true, name: 'Mobile 1.2.0' });
+
+      expect(octokit.rest.repos.generateReleaseNotes.mock.calls[0][0]).not.toHaveProperty('previous_tag_name');
+      expect(octokit.rest.repos.createRelease.mock.calls[0][0]).toMatchObject({ name: 'Mobile 1.2.0', draft: true });
+    });
+
+    test('should upload matching artifacts', async () => {
+      const octokit = createOctokit();
+      const release = await publishRelease(octokit, repo, { tag: 'v1.2.0+5', artifacts: `${dir}/build/*.apk` });
+
+      expect(octokit.rest.repos.uploadReleaseAsset).toHaveBeenCalledWith(expect.objectContaining({
+        owner: 'owner',
+        repo: 'repo',
+        release_id: 42,
+        url: 'https://uploads.github.com/repos/owner/repo/releases/42/assets{?name,label}',
+        name: 'app.apk',
+        data: Buffer.from('apk'),
+        headers: { 'content-type': 'application/octet-stream', 'content-length': 3 }
+      }));
+      expect(release.assets).toEqual([
+        { name: 'app.apk', url: 'https://github.com/owner/repo/releases/download/v1.2.0+5/app.apk' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const GIT_HOSTS = ['auto', 'github', 'gitlab', 'bitbucket'];
+
+// User names each host expects next to an access token in HTTP basic auth
+const TOKEN_USERS = {
+  github: 'x-access-token',
+  gitlab: 'oauth2',
+  bitbucket: 'x-token-auth'
+};
+
+/**
+ * Check that a git host is known
+ * @param {string} gitHost - One of GIT_HOSTS
+ * @throws {Error} - When the host is not supported
+ */
+function validateGitHost(gitHost) {
+  if (!GIT_HOSTS.includes(gitHost)) {
+    throw new Error(`Invalid git-host "${gitHost}". Expected one of: ${GIT_HOSTS.join(', ')}`);
+  }
+}
+
+/**
+ * Split a git remote URL
+ * @param {string} url - Remote URL, e.g. https://github.com/owner/repo.git or git@gitlab.com:group/repo.git
+ * @returns {object|null} - { protocol, host, path } with protocol http, https or ssh, or null for local paths
+ */
+function parseRemoteUrl(url) {
+  const value = (url || '').trim();
+
+  const withScheme = value.match(/^(https?|ssh|git\+ssh):\/\/(?:[^@/]*@)?([^/]+)\/(.*)$/i);
+  if (withScheme) {
+    const scheme = withScheme[1].toLowerCase();
+    return { protocol: scheme.startsWith('http') ? scheme : 'ssh', host: withScheme[2].toLowerCase(), path: withScheme[3] };
+  }
+
+  // scp-like syntax; a single letter before the colon is a Windows drive instead
+  const scpLike = value.match(/^(?:[^@/]+@)?([^:/]{2,}):(?!\/)(.+)$/);
+  if (scpLike) {
+    return { protocol: 'ssh', host: scpLike[1].toLowerCase(), path: scpLike[2] };
+  }
+
+  return null;
+}
+
+/**
+ * Tell which kind of git host a remote is on
+ * @param {string} host - Remote host, may include a port
+ * @param {string} [serverUrl] - GITHUB_SERVER_URL, which names the GitHub Enterprise Server host
+ * @returns {string|null} - github, gitlab or bitbucket, or null when unknown
+ */
+function detectGitHost(host, serverUrl) {
+  const hostname = host.replace(/:\d+$/, '');
+  if (hostname === 'github.com' || hostname.endsWith('.ghe.com')) return 'github';
+
+  const serverHost = (serverUrl || '').match(/^https?:\/\/([^/]+)/i);
+  if (serverHost && serverHost[1].toLowerCase() === host) return 'github';
+
+  if (/(^|\.)gitlab\./.test(hostname)) return 'gitlab';
+  if (/(^|\.)bitbucket\./.test(hostname)) return 'bitbucket';
+  return null;
+}
+
+/**
+ * Work out how to push to a remote with a token, without putting the token in the remote URL
+ * @param {string} remoteUrl - URL of origin
+ * @param {string} token - Access token
+ * @param {object} [options] - Detection options
+ * @param {string} [options.gitHost] - One of GIT_HOSTS, auto detects from the URL
+ * @param {string} [options.serverUrl] - GITHUB_SERVER_URL
+ * @returns {object} - { protocol, host, provider, credentials, config } where config holds the [name, value]
+ *   git settings that send the token, empty when the token cannot be used
+ */
+function getRemoteAuth(remoteUrl, token, options = {}) {
+  const { gitHost = 'auto', serverUrl } = options;
+  const remote = parseRemoteUrl(remoteUrl);
+  if (!remote) {
+    return { protocol: 'file', host: null, provider: null, credentials: null, config: [] };
+  }
+
+  const provider = gitHost === 'auto' ? detectGitHost(remote.host, serverUrl) : gitHost;
+  if (remote.protocol === 'ssh' || !provider) {
+    return { protocol: remote.protocol, host: remote.host, provider, credentials: null, config: [] };
+  }
+
+  const credentials = Buffer.from(`${TOKEN_USERS[provider]}:${token}`).toString('base64');
+  const key = `http.${remote.protocol}://${remote.host}/.extraheader`;
+  return {
+    protocol: remote.protocol,
+    host: remote.host,
+    provider,
+    credentials,
+    // The empty value drops headers set before, such as the one actions/checkout persists
+    config: [[key, ''], [key, `AUTHORIZATION: basic ${credentials}`]]
+  };
+}
+
+module.exports = {
+  GIT_HOSTS,
+  validateGitHost,
+  parseRemoteUrl,
+  detectGitHost,
+  getRemoteAuth
+};
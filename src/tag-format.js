@@ -0,0 +1,108 @@
+const { parseFlutterVersion, isValidVersion } = require('./version');
+
+// Tags of a single package, and of each package in a monorepo
+const DEFAULT_TAG_FORMAT = 'v{version}';
+const MONOREPO_TAG_FORMAT = '{package}-v{version}';
+
+// What each placeholder matches when reading a tag back
+const PLACEHOLDER_PATTERNS = {
+  version: '(.+)',
+  base: '(\\d+\\.\\d+\\.\\d+(?:-[0-9A-Za-z.-]+)?)',
+  build: '(\\d+)'
+};
+
+/**
+ * Check that a tag format can be read back into a version
+ * @param {string} format - Template with {package}, {version}, {base} and {build} placeholders
+ * @param {boolean} multiPackage - Whether several packages share the format
+ * @throws {Error} - When tags of the format could not be told apart
+ */
+function validateTagFormat(format, multiPackage) {
+  const unknown = (format.match(/\{\w+\}/g) || []).filter(placeholder => !/^\{(package|version|base|build)\}$/.test(placeholder));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid tag-format "${format}": unknown placeholder ${unknown[0]}. Use {package}, {version}, {base} or {build}`);
+  }
+  if (!format.includes('{version}') && !format.includes('{base}')) {
+    throw new Error(`Invalid tag-format "${format}": it needs {version} or {base}`);
+  }
+  if (multiPackage && !format.includes('{package}')) {
+    throw new Error(`Invalid tag-format "${format}": it needs {package} to tell the packages of a monorepo apart`);
+  }
+}
+
+/**
+ * Fill in the package name, leaving the version placeholders
+ * @param {string} format - Tag format
+ * @param {string|null} packageName - Package name from pubspec.yaml
+ * @returns {string} - Tag format of the package
+ * @throws {Error} - When the format uses {package} and there is no name to fill in
+ */
+function packageTagFormat(format, packageName) {
+  if (!packageName && format.includes('{package}')) {
+    throw new Error(`Tag format "${format}" uses {package}, but pubspec.yaml has no name`);
+  }
+  return format.split('{package}').join(packageName);
+}
+
+/**
+ * Build the tag of a version
+ * @param {string} format - Tag format of a package, see packageTagFormat
+ * @param {string} version - Version, e.g. 1.2.3+4
+ * @returns {string} - Tag name
+ */
+function formatTag(format, version) {
+  const parsed = parseFlutterVersion(version);
+  const values = {
+    version,
+    base: parsed.base,
+    build: parsed.buildMetadata === null ? '' : parsed.buildMetadata
+  };
+  return format.replace(/\{(version|base|build)\}/g, (placeholder, key) => values[key]);
+}
+
+/**
+ * Glob matching every tag of the format, for git tag --list
+ * @param {string} format - Tag format of a package
+ * @returns {string} - Glob pattern
+ */
+function tagGlob(format) {
+  return format.replace(/\{(version|base|build)\}/g, '*').replace(/\*+/g, '*');
+}
+
+/**
+ * Read the version back from a tag
+ * @param {string} format - Tag format of a package
+ * @param {string} tag - Tag name
+ * @returns {string|null} - Version, or null when the tag does not follow the format
+ */
+function parseTag(format, tag) {
+  const keys = [];
+  const source = format.split(/(\{(?:version|base|build)\})/).map(part => {
+    const placeholder = part.match(/^\{(version|base|build)\}$/);
+    if (!placeholder) {
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    keys.push(placeholder[1]);
+    return PLACEHOLDER_PATTERNS[placeholder[1]];
+  }).join('');
+
+  const match = new RegExp(`^${source}$`).exec(tag);
+  if (!match) return null;
+
+  const values = {};
+  keys.forEach((key, index) => {
+    values[key] = match[index + 1];
+  });
+  const version = values.version || (values.build ? `${values.base}+${values.build}` : values.base);
+  return isValidVersion(version) ? version : null;
+}
+
+module.exports = {
+  DEFAULT_TAG_FORMAT,
+  MONOREPO_TAG_FORMAT,
+  validateTagFormat,
+  packageTagFormat,
+  formatTag,
+  tagGlob,
+  parseTag
+};
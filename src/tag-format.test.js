@@ -0,0 +1,51 @@
+const {
+  validateTagFormat,
+  packageTagFormat,
+  formatTag,
+  tagGlob,
+  parseTag
+} = require('./tag-format');
+
+describe('Tag format', () => {
+  test('should build tags from the placeholders', () => {
+    expect(formatTag('v{version}', '1.2.3+4')).toBe('v1.2.3+4');
+    expect(formatTag(packageTagFormat('{package}-v{version}', 'mobile'), '1.2.3+4')).toBe('mobile-v1.2.3+4');
+    expect(formatTag(packageTagFormat('{package}@{base}', 'package_name'), '1.2.3-rc.1+4')).toBe('package_name@1.2.3-rc.1');
+    expect(formatTag('release/{base}/build-{build}', '1.2.3+4')).toBe('release/1.2.3/build-4');
+  });
+
+  test('should need a package name for {package}', () => {
+    expect(packageTagFormat('v{version}', null)).toBe('v{version}');
+    expect(() => packageTagFormat('{package}-v{version}', null))
+      .toThrow('Tag format "{package}-v{version}" uses {package}, but pubspec.yaml has no name');
+  });
+
+  test('should read the version back from a tag', () => {
+    expect(parseTag('v{version}', 'v1.2.3+4')).toBe('1.2.3+4');
+    expect(parseTag('mobile-v{version}', 'mobile-v2.0.0-beta.1+7')).toBe('2.0.0-beta.1+7');
+    expect(parseTag('package_name@{base}', 'package_name@1.2.3')).toBe('1.2.3');
+    expect(parseTag('release/{base}/build-{build}', 'release/1.2.3/build-4')).toBe('1.2.3+4');
+  });
+
+  test('should ignore tags that do not follow the format', () => {
+    expect(parseTag('v{version}', 'v1.2')).toBeNull();
+    expect(parseTag('v{version}', 'mobile-v1.2.3+4')).toBeNull();
+    expect(parseTag('mobile-v{version}', 'mobile-web-v1.2.3+4')).toBeNull();
+    expect(parseTag('package_name@{base}', 'package_name@1.2.3+4')).toBeNull();
+    expect(parseTag('v{base}', 'vlatest')).toBeNull();
+  });
+
+  test('should list every tag of the format with a glob', () => {
+    expect(tagGlob('mobile-v{version}')).toBe('mobile-v*');
+    expect(tagGlob('v{base}+{build}')).toBe('v*+*');
+    expect(tagGlob('{base}{build}')).toBe('*');
+  });
+
+  test('should reject formats that cannot be read back', () => {
+    expect(() => validateTagFormat('v{version}', false)).not.toThrow();
+    expect(() => validateTagFormat('{package}@{base}', true)).not.toThrow();
+    expect(() => validateTagFormat('release-{build}', false)).toThrow('it needs {version} or {base}');
+    expect(() => validateTagFormat('v{version}', true)).toThrow('it needs {package} to tell the packages of a monorepo apart');
+    expect(() => validateTagFormat('v{semver}', false)).toThrow('unknown placeholder {semver}');
+  });
+});
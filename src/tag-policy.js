@@ -0,0 +1,55 @@
+// What to do when the tag of a new version already exists
+const TAG_POLICIES = ['fail', 'skip', 'bump-again', 'move'];
+
+/**
+ * Check that a tag policy is known, and that moving tags was explicitly allowed
+ * @param {string} policy - One of TAG_POLICIES
+ * @param {boolean} allowMove - Whether published tags may be moved
+ * @throws {Error} - When the policy cannot be used
+ */
+function validateTagPolicy(policy, allowMove) {
+  if (!TAG_POLICIES.includes(policy)) {
+    throw new Error(`Invalid on-tag-exists "${policy}". Expected one of: ${TAG_POLICIES.join(', ')}`);
+  }
+  if (policy === 'move' && !allowMove) {
+    throw new Error('on-tag-exists "move" rewrites tags others may have fetched; allow it explicitly with allow-tag-move');
+  }
+}
+
+/**
+ * Read tag names from `git ls-remote --tags` output
+ * @param {string} output - Lines of "<sha>\trefs/tags/<name>", peeled tags end in ^{}
+ * @returns {Set<string>} - Tag names
+ */
+function parseRemoteTags(output) {
+  const tags = new Set();
+  for (const line of (output || '').split('\n')) {
+    const match = line.match(/\trefs\/tags\/(.+?)(?:\^\{\})?$/);
+    if (match) {
+      tags.add(match[1]);
+    }
+  }
+  return tags;
+}
+
+/**
+ * Describe where a tag already exists
+ * @param {string} tag - Tag name
+ * @param {object} existing - { local, remote } sets of tag names
+ * @returns {string|null} - "locally", "on origin" or "locally and on origin", or null when the tag is free
+ */
+function describeTagCollision(tag, existing) {
+  const local = existing.local.has(tag);
+  const remote = existing.remote.has(tag);
+  if (local && remote) return 'locally and on origin';
+  if (local) return 'locally';
+  if (remote) return 'on origin';
+  return null;
+}
+
+module.exports = {
+  TAG_POLICIES,
+  validateTagPolicy,
+  parseRemoteTags,
+  describeTagCollision
+};
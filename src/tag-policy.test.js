@@ -0,0 +1,33 @@
+const { validateTagPolicy, parseRemoteTags, describeTagCollision } = require('./tag-policy');
+
+describe('Tag policy', () => {
+  test('should accept known policies and require opting in to move', () => {
+    expect(() => validateTagPolicy('fail', false)).not.toThrow();
+    expect(() => validateTagPolicy('bump-again', false)).not.toThrow();
+    expect(() => validateTagPolicy('move', true)).not.toThrow();
+    expect(() => validateTagPolicy('move', false)).toThrow('allow it explicitly with allow-tag-move');
+    expect(() => validateTagPolicy('overwrite', true))
+      .toThrow('Invalid on-tag-exists "overwrite". Expected one of: fail, skip, bump-again, move');
+  });
+
+  test('should read tag names from ls-remote output', () => {
+    const output = [
+      '1111111111111111111111111111111111111111\trefs/tags/v1.0.0+1',
+      '2222222222222222222222222222222222222222\trefs/tags/v1.0.0+1^{}',
+      '3333333333333333333333333333333333333333\trefs/tags/app-v2.0.0+5',
+      ''
+    ].join('\n');
+
+    expect([...parseRemoteTags(output)]).toEqual(['v1.0.0+1', 'app-v2.0.0+5']);
+    expect(parseRemoteTags('').size).toBe(0);
+  });
+
+  test('should describe where a tag exists', () => {
+    const existing = { local: new Set(['v1', 'v2']), remote: new Set(['v2', 'v3']) };
+
+    expect(describeTagCollision('v1', existing)).toBe('locally');
+    expect(describeTagCollision('v2', existing)).toBe('locally and on origin');
+    expect(describeTagCollision('v3', existing)).toBe('on origin');
+    expect(describeTagCollision('v4', existing)).toBeNull();
+  });
+});
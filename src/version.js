@@ -0,0 +1,170 @@
+// Pre-release and build identifiers: dot separated, alphanumerics and hyphens
+const IDENTIFIER = /^[0-9A-Za-z-]+$/;
+const NUMERIC = /^\d+$/;
+const CORE_PARTS = ['major', 'minor', 'patch'];
+
+/**
+ * Split and validate dot separated pre-release or build identifiers
+ * @param {string} versionStr - Full version string, for error messages
+ * @param {string} value - Identifiers after "-" or "+"
+ * @param {string} label - "pre-release" or "build"
+ * @returns {string[]} - Identifiers
+ */
+function parseIdentifiers(versionStr, value, label) {
+  if (value === '') {
+    throw new Error(`Invalid version "${versionStr}": empty ${label} after "${label === 'build' ? '+' : '-'}"`);
+  }
+
+  const identifiers = value.split('.');
+  for (const identifier of identifiers) {
+    if (identifier === '') {
+      throw new Error(`Invalid version "${versionStr}": empty ${label} identifier in "${value}"`);
+    }
+    if (!IDENTIFIER.test(identifier)) {
+      throw new Error(`Invalid version "${versionStr}": ${label} identifier "${identifier}" may only contain letters, digits and hyphens`);
+    }
+  }
+  return identifiers;
+}
+
+/**
+ * Parse a Flutter version string (e.g., "50.8.47+177" or "2.0.0-beta.3+41")
+ * following the pub version grammar MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]
+ * @param {string} versionStr - The version string
+ * @returns {object|null} - Parsed version object, or null for an empty value
+ * @throws {Error} - When the version does not follow the grammar
+ */
+function parseFlutterVersion(versionStr) {
+  if (versionStr === null || versionStr === undefined || versionStr === '') return null;
+
+  if (typeof versionStr !== 'string') {
+    throw new Error(`Invalid version ${JSON.stringify(versionStr)}: expected a string like "1.2.3+4", got ${typeof versionStr}`);
+  }
+  if (/\s/.test(versionStr)) {
+    throw new Error(`Invalid version "${versionStr}": contains whitespace`);
+  }
+
+  const plus = versionStr.indexOf('+');
+  const beforeBuild = plus >= 0 ? versionStr.slice(0, plus) : versionStr;
+  const buildMetadata = plus >= 0 ? versionStr.slice(plus + 1) : null;
+
+  const dash = beforeBuild.indexOf('-');
+  const coreStr = dash >= 0 ? beforeBuild.slice(0, dash) : beforeBuild;
+  const prereleaseStr = dash >= 0 ? beforeBuild.slice(dash + 1) : null;
+
+  const coreParts = coreStr.split('.');
+  if (coreParts.length !== 3) {
+    throw new Error(`Invalid version "${versionStr}": expected MAJOR.MINOR.PATCH, got ${coreParts.length} part(s) in "${coreStr}"`);
+  }
+  coreParts.forEach((part, index) => {
+    if (!NUMERIC.test(part)) {
+      throw new Error(`Invalid version "${versionStr}": ${CORE_PARTS[index]} version "${part}" is not a number`);
+    }
+  });
+
+  const prerelease = prereleaseStr === null ? [] : parseIdentifiers(versionStr, prereleaseStr, 'pre-release');
+  const buildIdentifiers = buildMetadata === null ? [] : parseIdentifiers(versionStr, buildMetadata, 'build');
+
+  // Flutter maps the build to versionCode/CFBundleVersion, which must be a number
+  const buildNumeric = buildMetadata === null || NUMERIC.test(buildMetadata);
+
+  return {
+    major: parseInt(coreParts[0], 10),
+    minor: parseInt(coreParts[1], 10),
+    patch: parseInt(coreParts[2], 10),
+    build: buildMetadata !== null && buildNumeric ? parseInt(buildMetadata, 10) : 0,
+    base: beforeBuild,
+    full: versionStr,
+    prerelease,
+    buildMetadata: buildIdentifiers.length > 0 ? buildMetadata : null,
+    buildNumeric
+  };
+}
+
+/**
+ * Check whether a version string follows the pub version grammar
+ * @param {string} versionStr - The version string
+ * @returns {boolean} - True when valid
+ */
+function isValidVersion(versionStr) {
+  try {
+    return parseFlutterVersion(versionStr) !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Compare pre-release identifiers with semver precedence rules
+ * @param {string[]} a - Identifiers of the first version
+ * @param {string[]} b - Identifiers of the second version
+ * @returns {number} - 1, 0 or -1
+ */
+function comparePrerelease(a, b) {
+  // A release ranks above any of its pre-releases
+  if (a.length === 0 || b.length === 0) {
+    return Math.sign(b.length - a.length);
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = NUMERIC.test(a[i]);
+    const bNumeric = NUMERIC.test(b[i]);
+    if (aNumeric && bNumeric) return Math.sign(parseInt(a[i], 10) - parseInt(b[i], 10));
+    // Numeric identifiers rank below alphanumeric ones
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two Flutter versions
+ * @param {string} current - Current version
+ * @param {string} previous - Previous version
+ * @returns {number} - 1 if current > previous, 0 if equal, -1 if current < previous
+ * @throws {Error} - When either version is invalid
+ */
+function compareVersions(current, previous) {
+  const currentParsed = parseFlutterVersion(current);
+  const previousParsed = parseFlutterVersion(previous);
+
+  if (!currentParsed || !previousParsed) return 0;
+
+  for (const part of CORE_PARTS) {
+    if (currentParsed[part] !== previousParsed[part]) {
+      return currentParsed[part] > previousParsed[part] ? 1 : -1;
+    }
+  }
+
+  const prereleaseComparison = comparePrerelease(currentParsed.prerelease, previousParsed.prerelease);
+  if (prereleaseComparison !== 0) {
+    return prereleaseComparison;
+  }
+
+  // Same base version, compare build numbers
+  if (currentParsed.build > previousParsed.build) return 1;
+  if (currentParsed.build < previousParsed.build) return -1;
+  return 0;
+}
+
+/**
+ * Build a version string from its parts
+ * @param {object} version - { major, minor, patch, prerelease, build }
+ * @returns {string} - Version such as "2.0.0-beta.3+41"
+ */
+function formatVersion({ major, minor, patch, prerelease = [], build }) {
+  const pre = prerelease.length > 0 ? `-${prerelease.join('.')}` : '';
+  return `${major}.${minor}.${patch}${pre}+${build}`;
+}
+
+module.exports = {
+  parseFlutterVersion,
+  isValidVersion,
+  compareVersions,
+  formatVersion
+};
@@ -0,0 +1,79 @@
+const { parseFlutterVersion, isValidVersion, compareVersions } = require('./version');
+
+describe('Version', () => {
+  describe('parseFlutterVersion', () => {
+    test('should parse pre-release identifiers and build numbers', () => {
+      expect(parseFlutterVersion('1.0.0-beta.1+5')).toEqual({
+        major: 1,
+        minor: 0,
+        patch: 0,
+        build: 5,
+        base: '1.0.0-beta.1',
+        full: '1.0.0-beta.1+5',
+        prerelease: ['beta', '1'],
+        buildMetadata: '5',
+        buildNumeric: true
+      });
+    });
+
+    test('should flag non-numeric build metadata', () => {
+      const version = parseFlutterVersion('2.1.0+build.7-x');
+      expect(version.build).toBe(0);
+      expect(version.buildMetadata).toBe('build.7-x');
+      expect(version.buildNumeric).toBe(false);
+    });
+
+    test('should return null for empty values', () => {
+      expect(parseFlutterVersion(undefined)).toBeNull();
+      expect(parseFlutterVersion('')).toBeNull();
+    });
+
+    test.each([
+      ['abc', 'Invalid version "abc": expected MAJOR.MINOR.PATCH, got 1 part(s) in "abc"'],
+      ['1.2', 'Invalid version "1.2": expected MAJOR.MINOR.PATCH, got 2 part(s) in "1.2"'],
+      ['1.2.3.4', 'Invalid version "1.2.3.4": expected MAJOR.MINOR.PATCH, got 4 part(s) in "1.2.3.4"'],
+      ['1.x.3', 'Invalid version "1.x.3": minor version "x" is not a number'],
+      ['v1.2.3', 'Invalid version "v1.2.3": major version "v1" is not a number'],
+      ['1.2.3-', 'Invalid version "1.2.3-": empty pre-release after "-"'],
+      ['1.2.3-beta..1', 'Invalid version "1.2.3-beta..1": empty pre-release identifier in "beta..1"'],
+      ['1.2.3-beta_1', 'Invalid version "1.2.3-beta_1": pre-release identifier "beta_1" may only contain letters, digits and hyphens'],
+      ['1.2.3+', 'Invalid version "1.2.3+": empty build after "+"'],
+      ['1.2.3+4+5', 'Invalid version "1.2.3+4+5": build identifier "4+5" may only contain letters, digits and hyphens'],
+      ['1.2.3 +4', 'Invalid version "1.2.3 +4": contains whitespace']
+    ])('should reject %p', (input, message) => {
+      expect(() => parseFlutterVersion(input)).toThrow(message);
+    });
+
+    test('should reject values that are not strings', () => {
+      expect(() => parseFlutterVersion(1.2)).toThrow('Invalid version 1.2: expected a string like "1.2.3+4", got number');
+    });
+  });
+
+  describe('isValidVersion', () => {
+    test('should accept the pub version grammar only', () => {
+      expect(isValidVersion('1.0.0-rc.1+build.2')).toBe(true);
+      expect(isValidVersion('1.2')).toBe(false);
+      expect(isValidVersion('')).toBe(false);
+    });
+  });
+
+  describe('compareVersions', () => {
+    test('should rank pre-releases below the release', () => {
+      expect(compareVersions('1.0.0-beta.1+5', '1.0.0+4')).toBe(-1);
+      expect(compareVersions('1.0.0+1', '1.0.0-rc.1+9')).toBe(1);
+      expect(compareVersions('1.0.1-alpha+1', '1.0.0+9')).toBe(1);
+    });
+
+    test('should order pre-release identifiers', () => {
+      expect(compareVersions('1.0.0-beta.2', '1.0.0-beta.10')).toBe(-1);
+      expect(compareVersions('1.0.0-beta', '1.0.0-alpha.5')).toBe(1);
+      expect(compareVersions('1.0.0-beta.1', '1.0.0-beta')).toBe(1);
+      expect(compareVersions('1.0.0-1', '1.0.0-alpha')).toBe(-1);
+      expect(compareVersions('1.0.0-rc.1+3', '1.0.0-rc.1+2')).toBe(1);
+    });
+
+    test('should throw on invalid versions instead of guessing', () => {
+      expect(() => compareVersions('1.2', '1.2.0')).toThrow('Invalid version "1.2"');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { resolvePubspecPaths } = require('./pubspec');
+
+const DEPENDENCY_SECTIONS = ['dependencies', 'dev_dependencies'];
+
+// Generated and build folders can contain copies of package pubspecs
+const EXCLUDED_PATTERNS = ['!**/.dart_tool/**', '!**/build/**', '!**/ios/.symlinks/**'];
+
+/**
+ * Read a YAML file, returning null when it is missing or invalid
+ * @param {string} filePath - Path to the YAML file
+ * @returns {object|null} - Parsed document or null
+ */
+function readYaml(filePath) {
+  try {
+    return yaml.load(fs.readFileSync(filePath, 'utf8')) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turn a workspace package glob into a pubspec.yaml glob
+ * @param {string} pattern - Package directory glob from melos.yaml or the workspace pubspec
+ * @param {string} rootDir - Workspace root
+ * @returns {string} - Glob matching the pubspec.yaml files
+ */
+function toPubspecPattern(pattern, rootDir) {
+  const negated = pattern.startsWith('!');
+  const body = path.join(rootDir, pattern.replace(/^!/, '').replace(/\/+$/, ''));
+  const pubspecPattern = path.basename(body) === 'pubspec.yaml' ? body : path.join(body, 'pubspec.yaml');
+  return negated ? `!${pubspecPattern}` : pubspecPattern;
+}
+
+/**
+ * Get the package globs declared by a Melos or pub workspace
+ * @param {string} rootDir - Workspace root
+ * @returns {string[]|null} - Package globs, or null when the directory is not a workspace
+ */
+function getWorkspacePatterns(rootDir) {
+  const melos = readYaml(path.join(rootDir, 'melos.yaml'));
+  const rootPubspec = readYaml(path.join(rootDir, 'pubspec.yaml'));
+
+  // melos.yaml (Melos < 7), then `melos:` in the root pubspec, then a pub workspace
+  const melosConfig = melos || (rootPubspec && rootPubspec.melos) || null;
+  const packages = (melosConfig && melosConfig.packages) || (rootPubspec && rootPubspec.workspace);
+  if (!Array.isArray(packages)) return null;
+
+  const ignore = (melosConfig && Array.isArray(melosConfig.ignore)) ? melosConfig.ignore : [];
+  return [
+    ...packages.map(String),
+    ...ignore.map(pattern => `!${pattern}`),
+    ...ignore.map(pattern => `!${String(pattern).replace(/\/+$/, '')}/**`)
+  ];
+}
+
+/**
+ * Discover the packages of a Melos or pub workspace
+ * @param {string} [rootDir] - Workspace root
+ * @returns {Promise<object[]>} - Packages with name, path, version and internal dependencies
+ */
+async function discoverWorkspacePackages(rootDir = '.') {
+  const patterns = getWorkspacePatterns(rootDir);
+  if (!patterns) {
+    throw new Error(`No melos.yaml or workspace pubspec.yaml found in ${path.resolve(rootDir)}`);
+  }
+
+  const pubspecPaths = await resolvePubspecPaths(
+    [...patterns.map(pattern => toPubspecPattern(pattern, rootDir)), ...EXCLUDED_PATTERNS].join('\n')
+  );
+
+  const packages = [];
+  for (const pubspecPath of pubspecPaths) {
+    const doc = readYaml(pubspecPath);
+    // The workspace root itself is not a versioned package
+    if (!doc || !doc.name || !doc.version) continue;
+
+    const dependencies = new Set();
+    for (const section of DEPENDENCY_SECTIONS) {
+      Object.keys(doc[section] || {}).forEach(name => dependencies.add(name));
+    }
+
+    packages.push({
+      name: String(doc.name),
+      path: pubspecPath,
+      version: String(doc.version),
+      dependencies
+    });
+  }
+
+  // Only dependencies on other workspace packages form the internal graph
+  const names = new Set(packages.map(pkg => pkg.name));
+  for (const pkg of packages) {
+    pkg.dependencies = [...pkg.dependencies].filter(name => names.has(name) && name !== pkg.name);
+  }
+
+  return packages;
+}
+
+/**
+ * Build the reverse dependency graph of a workspace
+ * @param {object[]} packages - Packages from discoverWorkspacePackages
+ * @returns {Map<string, string[]>} - Package name to the names of packages depending on it
+ */
+function buildDependencyGraph(packages) {
+  const graph = new Map(packages.map(pkg => [pkg.name, []]));
+  for (const pkg of packages) {
+    for (const dependency of pkg.dependencies) {
+      graph.get(dependency).push(pkg.name);
+    }
+  }
+  return graph;
+}
+
+/**
+ * Find every package that depends, directly or transitively, on the given packages
+ * @param {Map<string, string[]>} graph - Reverse dependency graph
+ * @param {string[]} names - Names of the bumped packages
+ * @returns {string[]} - Dependent package names in breadth-first order, excluding the given packages
+ */
+function findDependents(graph, names) {
+  const visited = new Set(names);
+  const queue = [...names];
+  const dependents = [];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    for (const dependent of graph.get(name) || []) {
+      if (visited.has(dependent)) continue;
+      visited.add(dependent);
+      dependents.push(dependent);
+      queue.push(dependent);
+    }
+  }
+
+  return dependents;
+}
+
+module.exports = {
+  getWorkspacePatterns,
+  discoverWorkspacePackages,
+  buildDependencyGraph,
+  findDependents
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getWorkspacePatterns,
+  discoverWorkspacePackages,
+  buildDependencyGraph,
+  findDependents
+} = require('./workspace');
+
+function writeFile(root, file, content) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+}
+
+describe('Workspace', () => {
+  let workspace;
+  let originalCwd;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-'));
+    writeFile(workspace, 'packages/core/pubspec.yaml', 'name: core\nversion: 1.0.0+1\n');
+    writeFile(workspace, 'packages/ui/pubspec.yaml', [
+      'name: ui',
+      'version: 2.0.0+4',
+      'dependencies:',
+      '  core:',
+      '    path: ../core',
+      '  http: ^1.0.0',
+      ''
+    ].join('\n'));
+    writeFile(workspace, 'apps/mobile/pubspec.yaml', [
+      'name: mobile',
+      'version: 3.1.0+40',
+      'dependencies:',
+      '  ui: ^2.0.0',
+      'dev_dependencies:',
+      '  core: any',
+      ''
+    ].join('\n'));
+    writeFile(workspace, 'apps/mobile/build/pubspec.yaml', 'name: mobile_copy\nversion: 0.0.1\n');
+    process.chdir(workspace);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  describe('getWorkspacePatterns', () => {
+    test('should read packages and ignores from melos.yaml', () => {
+      writeFile(workspace, 'melos.yaml', 'name: repo\npackages:\n  - packages/**\n  - apps/*\nignore:\n  - packages/legacy\n');
+      expect(getWorkspacePatterns('.')).toEqual(['packages/**', 'apps/*', '!packages/legacy', '!packages/legacy/**']);
+    });
+
+    test('should read a pub workspace from the root pubspec.yaml', () => {
+      writeFile(workspace, 'pubspec.yaml', 'name: _\nworkspace:\n  - packages/core\n  - apps/mobile\n');
+      expect(getWorkspacePatterns('.')).toEqual(['packages/core', 'apps/mobile']);
+    });
+
+    test('should return null outside a workspace', () => {
+      expect(getWorkspacePatterns('.')).toBeNull();
+    });
+  });
+
+  describe('discoverWorkspacePackages', () => {
+    test('should discover packages and their internal dependencies', async () => {
+      writeFile(workspace, 'melos.yaml', 'name: repo\npackages:\n  - packages/**\n  - apps/**\n');
+      const packages = await discoverWorkspacePackages('.');
+
+      expect(packages.map(pkg => [pkg.name, pkg.version, pkg.dependencies])).toEqual([
+        ['mobile', '3.1.0+40', ['ui', 'core']],
+        ['core', '1.0.0+1', []],
+        ['ui', '2.0.0+4', ['core']]
+      ]);
+      expect(packages[0].path).toBe(path.join('apps', 'mobile', 'pubspec.yaml'));
+    });
+
+    test('should skip the unversioned workspace root', async () => {
+      writeFile(workspace, 'pubspec.yaml', 'name: _\nworkspace:\n  - .\n  - packages/core\n');
+      const packages = await discoverWorkspacePackages('.');
+      expect(packages.map(pkg => pkg.name)).toEqual(['core']);
+    });
+
+    test('should fail outside a workspace', async () => {
+      await expect(discoverWorkspacePackages('.')).rejects.toThrow('No melos.yaml or workspace pubspec.yaml');
+    });
+  });
+
+  describe('dependency graph', () => {
+    const packages = [
+      { name: 'core', dependencies: [] },
+      { name: 'ui', dependencies: ['core'] },
+      { name: 'mobile', dependencies: ['ui', 'core'] },
+      { name: 'tool', dependencies: [] }
+    ];
+
+    test('should map packages to their dependents', () => {
+      const graph = buildDependencyGraph(packages);
+      expect(graph.get('core')).toEqual(['ui', 'mobile']);
+      expect(graph.get('mobile')).toEqual([]);
+    });
+
+    test('should find transitive dependents once', () => {
+      const graph = buildDependencyGraph(packages);
+      expect(findDependents(graph, ['core'])).toEqual(['ui', 'mobile']);
+      expect(findDependents(graph, ['ui'])).toEqual(['mobile']);
+      expect(findDependents(graph, ['ui', 'mobile'])).toEqual([]);
+      expect(findDependents(graph, ['tool'])).toEqual([]);
+    });
+  });
+});